@@ -0,0 +1,28 @@
+const gensynApi = require('../services/gensynApi');
+
+/**
+ * BlockAssist - verified through the Gensyn Dashboard API
+ */
+module.exports = {
+  key: 'blockAssist',
+  name: 'BlockAssist',
+  displayName: 'BlockAssist',
+  order: 2,
+  emoji: '🟢',
+  envPrefix: 'BLOCKASSIST', // BLOCKASSIST_ROLE_ID, BLOCKASSIST_REVOKE_POLICY
+  source: 'Dashboard API',
+  description: 'Participate in BlockAssist to earn this role',
+  eligibility: 'Participation > 0',
+
+  check(address) {
+    return gensynApi.verifyBlockAssist(address);
+  },
+
+  formatDetails(result) {
+    return `Participation: ${result.participation || 0}`;
+  },
+
+  formatFailure() {
+    return 'No participation';
+  }
+};
@@ -0,0 +1,28 @@
+const gensynApi = require('../services/gensynApi');
+
+/**
+ * CodeAssist - verified through the Gensyn Dashboard API
+ */
+module.exports = {
+  key: 'codeAssist',
+  name: 'CodeAssist',
+  displayName: 'CodeAssist',
+  order: 1,
+  emoji: '🔵',
+  envPrefix: 'CODEASSIST', // CODEASSIST_ROLE_ID, CODEASSIST_REVOKE_POLICY
+  source: 'Dashboard API',
+  description: 'Participate in CodeAssist to earn this role',
+  eligibility: 'Participation > 0',
+
+  check(address) {
+    return gensynApi.verifyCodeAssist(address);
+  },
+
+  formatDetails(result) {
+    return `Participation: ${result.participation || 0}`;
+  },
+
+  formatFailure() {
+    return 'No participation';
+  }
+};
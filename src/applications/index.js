@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { VERIFICATION_STATUS, REASON_CODE } = require('../config/constants');
+const { reasonFromError } = require('../utils/failureReasons');
+
+// Every application module must declare these properties
+const REQUIRED_PROPERTIES = ['key', 'name', 'envPrefix', 'check'];
+
+/**
+ * Registry of Gensyn applications.
+ * Each file in this directory describes one application (key, name, envPrefix,
+ * eligibility and an async check function). Adding a new Gensyn application
+ * only requires dropping a new module here: its role ID and revocation policy are
+ * read from <envPrefix>_ROLE_ID / <envPrefix>_REVOKE_POLICY when it is loaded.
+ * An application may also define aggregate(results) to combine the results of a
+ * member's linked addresses (e.g. summed wins); by default any eligible address counts.
+ * prefetch(addresses) is optional too: it loads a whole batch of addresses in a few
+ * requests so the checks that follow don't each go upstream (used by the worker).
+ */
+class ApplicationRegistry {
+  constructor() {
+    this.applications = [];
+    this.loadApplications();
+  }
+
+  /**
+   * Load all application modules from this directory
+   */
+  loadApplications() {
+    const files = fs.readdirSync(__dirname)
+      .filter(file => file.endsWith('.js') && file !== 'index.js');
+
+    for (const file of files) {
+      const filePath = path.join(__dirname, file);
+      const application = require(filePath);
+      const missing = REQUIRED_PROPERTIES.filter(prop => !(prop in application));
+
+      if (missing.length > 0) {
+        logger.warn(`Application at ${filePath} is missing required properties: ${missing.join(', ')}`);
+        continue;
+      }
+
+      if (this.get(application.key)) {
+        logger.warn(`Duplicate application key "${application.key}" in ${filePath}, skipping`);
+        continue;
+      }
+
+      Object.assign(application, config.getApplicationSettings(application.envPrefix));
+      this.applications.push(application);
+    }
+
+    this.applications.sort((a, b) => (a.order || 0) - (b.order || 0));
+    config.validateApplications(this.applications);
+    logger.debug(`Loaded ${this.applications.length} applications`, {
+      applications: this.applications.map(a => a.key)
+    });
+  }
+
+  /**
+   * Get all registered applications
+   */
+  getAll() {
+    return this.applications;
+  }
+
+  /**
+   * Get applications that have a Discord role configured
+   */
+  getConfigured() {
+    return this.applications.filter(a => a.roleId);
+  }
+
+  /**
+   * Get a single application by key
+   */
+  get(key) {
+    return this.applications.find(a => a.key === key) || null;
+  }
+
+  /**
+   * Get all application keys
+   */
+  getKeys() {
+    return this.applications.map(a => a.key);
+  }
+
+  /**
+   * Let applications load a batch of addresses ahead of verifyAll
+   * Failures are only logged - the checks then fetch each address themselves.
+   * @param {string[]} addresses
+   */
+  async prefetch(addresses) {
+    const valid = addresses.filter(address => ethers.isAddress(address));
+    if (valid.length === 0) return;
+
+    await Promise.all(this.applications.filter(app => app.prefetch).map(app =>
+      Promise.resolve()
+        .then(() => app.prefetch(valid))
+        .catch(error => logger.warn(`${app.name} prefetch failed, checking addresses one by one`, { error: error.message }))
+    ));
+  }
+
+  /**
+   * Verify all applications for an address
+   * @param {string} address - The address to verify
+   * @returns {Promise<Object>} - Results keyed by application key plus a summary
+   */
+  async verifyAll(address) {
+    if (!ethers.isAddress(address)) {
+      const error = new Error('Invalid Ethereum address format');
+      error.reasonCode = REASON_CODE.INVALID_ADDRESS;
+      throw error;
+    }
+
+    const normalizedAddress = ethers.getAddress(address);
+
+    const results = await Promise.all(
+      this.applications.map(app =>
+        Promise.resolve()
+          .then(() => app.check(normalizedAddress))
+          .catch(error => {
+            logger.error(`${app.name} check failed`, { error: error.message });
+            return {
+              eligible: false,
+              status: VERIFICATION_STATUS.ERROR,
+              reasonCode: reasonFromError(error),
+              error: error.message,
+              message: `${app.name}: ⚠️ Could not check (${error.message})`
+            };
+          })
+          .then(result => ({
+            ...result,
+            status: result.status || (result.eligible ? VERIFICATION_STATUS.ELIGIBLE : VERIFICATION_STATUS.NOT_ELIGIBLE)
+          }))
+      )
+    );
+
+    const verification = { address: normalizedAddress };
+    this.applications.forEach((app, index) => {
+      verification[app.key] = results[index];
+    });
+
+    verification.summary = this.summarize(verification);
+
+    return verification;
+  }
+
+  summarize(verification) {
+    const eligible = {};
+    const errors = [];
+
+    for (const app of this.applications) {
+      eligible[app.key] = verification[app.key].eligible;
+      if (verification[app.key].status === VERIFICATION_STATUS.ERROR) {
+        errors.push(app.key);
+      }
+    }
+
+    return {
+      totalEligible: Object.values(eligible).filter(Boolean).length,
+      eligible,
+      errors
+    };
+  }
+
+  /**
+   * Combine the verifyAll results of several addresses linked to one member
+   * Each application result gets `address` (the address it came from, null when several
+   * were combined). A single address is returned unchanged.
+   * @param {Array<{wallet: string, results: Object}>} perAddress - verifyAll results per address
+   * @returns {Object} - Results in the verifyAll format plus `addresses`
+   */
+  aggregate(perAddress) {
+    if (perAddress.length === 1) {
+      return { ...perAddress[0].results, addresses: [perAddress[0].wallet] };
+    }
+
+    const combined = { addresses: perAddress.map(entry => entry.wallet) };
+
+    for (const app of this.applications) {
+      const results = perAddress.map(entry => ({ ...entry.results[app.key], address: entry.wallet }));
+
+      if (app.aggregate) {
+        combined[app.key] = { ...app.aggregate(results), address: null };
+        continue;
+      }
+
+      // Any eligible address qualifies; otherwise an error means the member was not fully checked
+      combined[app.key] = results.find(result => result.eligible)
+        || results.find(result => result.status === VERIFICATION_STATUS.ERROR)
+        || results[0];
+    }
+
+    combined.summary = this.summarize(combined);
+    return combined;
+  }
+}
+
+module.exports = new ApplicationRegistry();
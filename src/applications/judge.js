@@ -0,0 +1,28 @@
+const gensynApi = require('../services/gensynApi');
+
+/**
+ * Judge (Verdict) - verified through the Gensyn Dashboard API
+ */
+module.exports = {
+  key: 'judge',
+  name: 'Judge',
+  displayName: 'Judge (Verdict)',
+  order: 3,
+  emoji: '⚖️',
+  envPrefix: 'JUDGE', // JUDGE_ROLE_ID, JUDGE_REVOKE_POLICY
+  source: 'Dashboard API',
+  description: 'Place bets in the Judge/Verdict application',
+  eligibility: 'Bets placed > 0',
+
+  check(address) {
+    return gensynApi.verifyJudge(address);
+  },
+
+  formatDetails(result) {
+    return `Bets: ${result.betsPlaced || 0}, Points: ${result.totalPoints || 0}`;
+  },
+
+  formatFailure() {
+    return 'No bets placed';
+  }
+};
@@ -0,0 +1,76 @@
+const gensynApi = require('../services/gensynApi');
+const config = require('../config/config');
+const { VERIFICATION_STATUS, REASON_CODE } = require('../config/constants');
+
+/**
+ * RLSwarm (The Swarm) - verified through the swarm smart contract
+ */
+module.exports = {
+  key: 'rlSwarm',
+  name: 'RLSwarm',
+  displayName: 'RLSwarm (The Swarm)',
+  order: 4,
+  emoji: '🐝',
+  envPrefix: 'RLSWARM', // RLSWARM_ROLE_ID, RLSWARM_REVOKE_POLICY
+  source: 'Smart Contract',
+  description: 'Run a node and win in RLSwarm',
+  eligibility: 'Peer ID registered + Wins > 0',
+  // Legacy CONTRACT_n addresses that proved the same participation (schema migrations)
+  legacyContracts: gensynApi.swarmContractAddresses,
+
+  check(address) {
+    return gensynApi.verifyRLSwarm(address);
+  },
+
+  // Peer IDs and wins for a whole worker batch in a few RPC calls
+  prefetch(addresses) {
+    return gensynApi.prefetchRLSwarm(addresses);
+  },
+
+  // Wins of every linked address count towards the role
+  aggregate(results) {
+    const peerIds = results.flatMap(result => result.peerIds || []);
+    const peers = results.flatMap(result => result.peers || []);
+    const totalWins = results.reduce((sum, result) => sum + (result.totalWins || 0), 0);
+    const eligible = totalWins > 0;
+
+    // Zero wins is only conclusive if every address could be read
+    const error = results.find(result => result.status === VERIFICATION_STATUS.ERROR);
+    if (!eligible && error) return error;
+
+    return {
+      eligible,
+      status: eligible ? VERIFICATION_STATUS.ELIGIBLE : VERIFICATION_STATUS.NOT_ELIGIBLE,
+      peerIds,
+      peers,
+      peerCount: peerIds.length,
+      totalWins,
+      reasonCode: eligible ? null : (peerIds.length > 0 ? REASON_CODE.NO_WINS : REASON_CODE.NO_PEERS),
+      message: eligible
+        ? `RLSwarm: ✅ Verified across ${results.length} addresses (Peers: ${peerIds.length}, Total Wins: ${totalWins})`
+        : `RLSwarm: ❌ No wins on any of ${results.length} addresses (Peers: ${peerIds.length})`
+    };
+  },
+
+  formatDetails(result) {
+    return `Peers: ${result.peerCount || 0}, Wins: ${result.totalWins || 0}`;
+  },
+
+  // One line per peer ID with its own wins (peers on an older swarm deployment are marked)
+  formatBreakdown(result) {
+    const current = config.gensyn.swarmContracts[0].toLowerCase();
+    return (result.peers || []).map(({ peerId, wins, contract }) => {
+      const id = peerId.length > 20 ? `${peerId.slice(0, 8)}...${peerId.slice(-6)}` : peerId;
+      const count = wins === null ? '⚠️ wins unavailable' : `${wins} win${wins === 1 ? '' : 's'}`;
+      const deployment = contract && contract.toLowerCase() !== current ? ` (older deployment \`${contract.substring(0, 10)}...\`)` : '';
+      return `\`${id}\`: ${count}${deployment}`;
+    });
+  },
+
+  formatFailure(result) {
+    if (!result.peerCount) {
+      return 'No peer IDs registered';
+    }
+    return `Peers: ${result.peerCount}, Wins: 0 (need wins)`;
+  }
+};
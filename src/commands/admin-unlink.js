@@ -1,5 +1,8 @@
 const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
 const db = require('../services/database');
+const roleManager = require('../services/roleManager');
+const verification = require('../services/verification');
+const auditLog = require('../services/auditLog');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -9,7 +12,7 @@ module.exports = {
     .addSubcommand(subcommand =>
       subcommand
         .setName('user')
-        .setDescription('Unlink by Discord user')
+        .setDescription('Unlink every address of a Discord user')
         .addUserOption(option =>
           option.setName('target')
             .setDescription('The user to unlink')
@@ -31,15 +34,17 @@ module.exports = {
     await interaction.deferReply({ ephemeral: true });
 
     const subcommand = interaction.options.getSubcommand();
+    const actor = auditLog.actorOf(interaction.user);
 
     try {
-      let targetUser, address, discordId;
+      let targetUser, address, discordId, addresses;
 
       if (subcommand === 'user') {
         targetUser = interaction.options.getUser('target');
         const userData = db.getUserByDiscordId(targetUser.id);
 
         if (!userData) {
+          auditLog.record({ actor, action: 'admin.unlink', target: targetUser.id, params: { by: subcommand }, outcome: 'failure', error: 'No wallet linked' });
           return await interaction.editReply({
             content: `❌ User ${targetUser.tag} doesn't have any wallet linked.`
           });
@@ -47,34 +52,67 @@ module.exports = {
 
         address = userData.wallet;
         discordId = targetUser.id;
+        addresses = db.getWalletsByDiscordId(discordId);
 
       } else if (subcommand === 'address') {
         address = interaction.options.getString('wallet');
         const userData = db.getUserByWallet(address);
 
         if (!userData) {
+          auditLog.record({ actor, action: 'admin.unlink', target: address, params: { by: subcommand }, outcome: 'failure', error: 'Address not linked' });
           return await interaction.editReply({
             content: `❌ Address \`${address}\` is not linked to any user.`
           });
         }
 
+        address = address.toLowerCase();
         discordId = userData.discordId;
+        addresses = [address];
         targetUser = await interaction.client.users.fetch(discordId).catch(() => null);
       }
 
-      // Remove from database
-      db.removeUser(address);
+      // Revoke application roles before the last link is removed (other addresses are rechecked once it is gone)
+      let revoked = [];
+      const member = await interaction.guild.members.fetch(discordId).catch(() => null);
+      const remaining = db.getWalletsByDiscordId(discordId).length - addresses.length;
+      if (member && remaining === 0) {
+        const overrides = db.getActiveOverrides(db.getWalletByDiscordId(discordId));
+        revoked = await roleManager.revokeAllRoles(member, address, 'Wallet unlinked by admin', interaction.user.tag, overrides);
+      }
+
+      // Remove from database (the address history is kept for the next link)
+      for (const wallet of addresses) {
+        db.unlinkWallet(wallet, 'admin');
+      }
+      if (remaining > 0) {
+        revoked = await verification.recheckRemaining(discordId, member, 'admin');
+      }
+
+      auditLog.record({
+        actor,
+        action: 'admin.unlink',
+        target: address,
+        params: { by: subcommand, discordId, addresses, revokedRoles: revoked.map(r => r.roleName) }
+      });
 
       const embed = new EmbedBuilder()
         .setTitle('✅ Wallet Unlinked by Admin')
         .setColor(0x2ecc71)
         .addFields(
           { name: '👤 User', value: targetUser ? `${targetUser.tag} (<@${discordId}>)` : `ID: ${discordId}`, inline: true },
-          { name: '🔗 Address Removed', value: `\`${address}\``, inline: true },
+          { name: addresses.length > 1 ? '🔗 Addresses Removed' : '🔗 Address Removed', value: addresses.map(a => `\`${a}\``).join('\n'), inline: true },
           { name: '👮 Admin', value: `${interaction.user.tag}`, inline: true }
         )
         .setTimestamp();
 
+      if (revoked.length > 0) {
+        embed.addFields({
+          name: '🔻 Roles Revoked',
+          value: revoked.map(r => r.roleName).join(', '),
+          inline: false
+        });
+      }
+
       await interaction.editReply({ embeds: [embed] });
 
       // Log to channel
@@ -88,7 +126,7 @@ module.exports = {
               .setColor(0xe74c3c)
               .addFields(
                 { name: '👤 Target User', value: targetUser ? `${targetUser.tag}\n<@${discordId}>` : `ID: ${discordId}`, inline: true },
-                { name: '🔗 Address Removed', value: `\`${address}\``, inline: true },
+                { name: addresses.length > 1 ? '🔗 Addresses Removed' : '🔗 Address Removed', value: addresses.map(a => `\`${a}\``).join('\n'), inline: true },
                 { name: '👮 Admin', value: `${interaction.user.tag}\n<@${interaction.user.id}>`, inline: true }
               )
               .setTimestamp();
@@ -102,6 +140,7 @@ module.exports = {
 
     } catch (error) {
       console.error('Admin unlink error:', error);
+      auditLog.record({ actor, action: 'admin.unlink', params: { by: subcommand }, outcome: 'failure', error: error.message });
       await interaction.editReply({
         content: `❌ Error: ${error.message}`
       });
@@ -1,7 +1,106 @@
-const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, AttachmentBuilder } = require('discord.js');
+const {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  PermissionFlagsBits,
+  AttachmentBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  UserSelectMenuBuilder
+} = require('discord.js');
+const path = require('path');
 const database = require('../services/database');
+const applications = require('../applications');
+const auditLog = require('../services/auditLog');
+const securityLock = require('../services/securityLock');
+const roleManager = require('../services/roleManager');
+const verification = require('../services/verification');
+const security = require('../utils/security');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { describeReason, isUpstreamReason } = require('../utils/failureReasons');
+const { OVERRIDE_TYPE } = require('../config/constants');
+
+// Time windows for the verification log views (hours, null = everything)
+const LOG_WINDOWS = {
+  all: null,
+  '1h': 1,
+  '24h': 24,
+  '7d': 7 * 24,
+  '30d': 30 * 24
+};
+
+const WINDOW_CHOICES = [
+  { name: 'All time', value: 'all' },
+  { name: 'Last hour', value: '1h' },
+  { name: 'Last 24 hours', value: '24h' },
+  { name: 'Last 7 days', value: '7d' },
+  { name: 'Last 30 days', value: '30d' }
+];
+
+// Select menu value for "no application filter"
+const ALL = '*';
+
+/**
+ * Options shared by /admin grant and /admin deny
+ */
+function addOverrideOptions(subcommand) {
+  return subcommand
+    .addUserOption(option =>
+      option.setName('target')
+        .setDescription('The member')
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      option.setName('application')
+        .setDescription('Application whose role is overridden')
+        .setRequired(true)
+        .addChoices(...applications.getAll().map(app => ({ name: app.name, value: app.key })))
+    )
+    .addStringOption(option =>
+      option.setName('reason')
+        .setDescription('Why (kept in the user record and the audit log)')
+        .setRequired(true)
+        .setMaxLength(200)
+    )
+    .addStringOption(option =>
+      option.setName('expires')
+        .setDescription('When the override ends: 12h, 7d, 2w or a date (default: never)')
+        .setRequired(false)
+    );
+}
+
+/**
+ * Filter options shared by /admin failures and /admin successes
+ */
+function addLogOptions(subcommand, noun) {
+  return subcommand
+    .addIntegerOption(option =>
+      option.setName('limit')
+        .setDescription(`Number of ${noun} per page (default: 10)`)
+        .setMinValue(1)
+        .setMaxValue(15)
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option.setName('application')
+        .setDescription('Only this application')
+        .setRequired(false)
+        .addChoices(...getLogApplications().slice(0, 25))
+    )
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('Only this Discord user')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option.setName('window')
+        .setDescription('Time window (default: all time, breakdown: 24 hours)')
+        .setRequired(false)
+        .addChoices(...WINDOW_CHOICES)
+    );
+}
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -9,23 +108,48 @@ module.exports = {
     .setDescription('Admin commands for verification management')
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
     .addSubcommand(subcommand =>
-      subcommand
+      addLogOptions(subcommand, 'failures')
         .setName('failures')
-        .setDescription('View recent failed verifications')
-        .addIntegerOption(option =>
-          option.setName('limit')
-            .setDescription('Number of failures to show (default: 10)')
+        .setDescription('Browse failed verifications')
+        .addStringOption(option =>
+          option.setName('view')
+            .setDescription('Failure list or counts per reason and application')
             .setRequired(false)
+            .addChoices(
+              { name: 'Recent', value: 'recent' },
+              { name: 'Breakdown by reason', value: 'breakdown' }
+            )
         )
     )
     .addSubcommand(subcommand =>
-      subcommand
+      addLogOptions(subcommand, 'successes')
         .setName('successes')
-        .setDescription('View recent successful verifications')
-        .addIntegerOption(option =>
-          option.setName('limit')
-            .setDescription('Number of successes to show (default: 10)')
-            .setRequired(false)
+        .setDescription('Browse successful verifications')
+    )
+    .addSubcommand(subcommand =>
+      addOverrideOptions(subcommand)
+        .setName('grant')
+        .setDescription('Give a member an application role regardless of the checks')
+    )
+    .addSubcommand(subcommand =>
+      addOverrideOptions(subcommand)
+        .setName('deny')
+        .setDescription('Keep a member from holding an application role, even when eligible')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('clear-override')
+        .setDescription('Remove a grant or deny override')
+        .addUserOption(option =>
+          option.setName('target')
+            .setDescription('The member')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option.setName('application')
+            .setDescription('Application')
+            .setRequired(true)
+            .addChoices(...applications.getAll().map(app => ({ name: app.name, value: app.key })))
         )
     )
     .addSubcommand(subcommand =>
@@ -51,11 +175,153 @@ module.exports = {
               { name: 'TXT (Flat)', value: 'txt' }
             )
         )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('audit')
+        .setDescription('Search the audit log of admin actions')
+        .addUserOption(option =>
+          option.setName('actor')
+            .setDescription('Only actions by this admin')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('action')
+            .setDescription('Action name or prefix (e.g. backup, security.unlock)')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option.setName('since')
+            .setDescription('From date (YYYY-MM-DD or ISO time)')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('until')
+            .setDescription('Until date, inclusive (YYYY-MM-DD or ISO time)')
+            .setRequired(false)
+        )
+        .addIntegerOption(option =>
+          option.setName('limit')
+            .setDescription('Number of entries to show (default: 15)')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(25)
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('backups')
+        .setDescription('Manage database backups')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('List available backups')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('create')
+            .setDescription('Create a backup now')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('restore')
+            .setDescription('Replace the database with a backup (current data is backed up first)')
+            .addStringOption(option =>
+              option.setName('name')
+                .setDescription('Backup file name')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+            .addBooleanOption(option =>
+              option.setName('confirm')
+                .setDescription('Confirm that the current database will be replaced')
+                .setRequired(true)
+            )
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('security')
+        .setDescription('Lock or unlock the master key')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('status')
+            .setDescription('Show whether the master key is unlocked')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('lock')
+            .setDescription('Drop the master key from memory now')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('unlock')
+            .setDescription('Unlock with a token from npm run security:unlock-token')
+            .addStringOption(option =>
+              option.setName('token')
+                .setDescription('Unlock token')
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('rotate')
+            .setDescription('Re-encrypt all protected files with a new master key')
+            .addStringOption(option =>
+              option.setName('key_file')
+                .setDescription('Server path of the new key file (npm run security:setup -- --key-file <path>)')
+                .setRequired(true)
+            )
+            .addBooleanOption(option =>
+              option.setName('confirm')
+                .setDescription('Confirm the rotation (false only checks that every file can be rotated)')
+                .setRequired(true)
+            )
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('blocklist')
+        .setDescription('Block addresses or Discord users from linking and verification')
+        .addSubcommand(subcommand =>
+          // Required options must come before the optional targets
+          addBlockTargetOptions(subcommand
+            .setName('add')
+            .setDescription('Block an address and/or a user')
+            .addStringOption(option =>
+              option.setName('reason')
+                .setDescription('Why they are blocked')
+                .setRequired(true)
+                .setMaxLength(200)
+            ))
+        )
+        .addSubcommand(subcommand =>
+          addBlockTargetOptions(subcommand
+            .setName('remove')
+            .setDescription('Unblock an address and/or a user'))
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('List blocked addresses and users')
+        )
     ),
 
   async execute(interaction) {
+    const group = interaction.options.getSubcommandGroup(false);
     const subcommand = interaction.options.getSubcommand();
 
+    if (group === 'backups') {
+      return handleBackups(interaction, subcommand);
+    }
+    if (group === 'security') {
+      return handleSecurity(interaction, subcommand);
+    }
+    if (group === 'blocklist') {
+      return handleBlocklist(interaction, subcommand);
+    }
+
     switch (subcommand) {
       case 'failures':
         await handleFailures(interaction);
@@ -69,93 +335,320 @@ module.exports = {
       case 'export':
         await handleExport(interaction);
         break;
+      case 'audit':
+        await handleAudit(interaction);
+        break;
+      case 'grant':
+        await handleOverride(interaction, OVERRIDE_TYPE.GRANT);
+        break;
+      case 'deny':
+        await handleOverride(interaction, OVERRIDE_TYPE.DENY);
+        break;
+      case 'clear-override':
+        await handleClearOverride(interaction);
+        break;
+    }
+  },
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+
+    if (focused.name === 'name') {
+      const query = focused.value.toLowerCase();
+      const choices = database.listBackups()
+        .filter(b => b.name.toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(b => ({ name: b.name, value: b.name }));
+      return interaction.respond(choices);
+    }
+
+    if (focused.name === 'action') {
+      const query = focused.value.toLowerCase();
+      const choices = auditLog.getActions()
+        .filter(action => action.toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(action => ({ name: action, value: action }));
+      return interaction.respond(choices);
+    }
+
+    return interaction.respond([]);
+  },
+
+  /**
+   * Buttons and select menus on admin messages (customId "admin:<feature>:...")
+   */
+  async handleComponent(interaction) {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+      return interaction.reply({ content: '❌ Administrator permission required.', ephemeral: true });
+    }
+
+    const feature = interaction.customId.split(':')[1];
+    if (feature === 'logs') {
+      return handleLogComponent(interaction);
     }
   }
 };
 
 async function handleFailures(interaction) {
+  if (interaction.options.getString('view') === 'breakdown') {
+    return handleFailureBreakdown(interaction);
+  }
+  return handleLogBrowser(interaction, 'failure');
+}
+
+async function handleSuccesses(interaction) {
+  return handleLogBrowser(interaction, 'success');
+}
+
+/**
+ * First page of the verification log browser (/admin failures and /admin successes)
+ */
+async function handleLogBrowser(interaction, outcome) {
   await interaction.deferReply({ ephemeral: true });
-  
-  const limit = interaction.options.getInteger('limit') || 10;
-  const failures = database.getFailedVerifications(limit);
 
-  if (failures.length === 0) {
-    return interaction.editReply({
-      content: '✅ No failed verifications recorded.'
-    });
+  const state = {
+    outcome,
+    page: 0,
+    pageSize: interaction.options.getInteger('limit') || 10,
+    application: interaction.options.getString('application') || '',
+    userId: interaction.options.getUser('user')?.id || '',
+    window: interaction.options.getString('window') || 'all'
+  };
+
+  auditLog.record({
+    actor: auditLog.actorOf(interaction.user),
+    action: outcome === 'failure' ? 'admin.failures' : 'admin.successes',
+    params: { pageSize: state.pageSize, application: state.application || null, user: state.userId || null, window: state.window }
+  });
+
+  return interaction.editReply(buildLogPage(state));
+}
+
+/**
+ * Buttons and select menus of the log browser
+ * customId: admin:logs:<control>:<outcome>:<page>:<pageSize>:<application>:<userId>:<window>
+ */
+async function handleLogComponent(interaction) {
+  const [, , control, outcome, page, pageSize, application, userId, window] = interaction.customId.split(':');
+  const state = { outcome, page: parseInt(page), pageSize: parseInt(pageSize), application, userId, window };
+
+  switch (control) {
+    case 'prev':
+      state.page--;
+      break;
+    case 'next':
+      state.page++;
+      break;
+    case 'app':
+      state.application = interaction.values[0] === ALL ? '' : interaction.values[0];
+      state.page = 0;
+      break;
+    case 'user':
+      state.userId = interaction.values[0] || '';
+      state.page = 0;
+      break;
+    case 'window':
+      state.window = interaction.values[0];
+      state.page = 0;
+      break;
+    case 'download':
+      return handleLogDownload(interaction, state);
   }
 
+  return interaction.update(buildLogPage(state));
+}
+
+/**
+ * Send every matching event as attachments (readable text and JSONL)
+ */
+async function handleLogDownload(interaction, state) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const { events, total } = database.queryVerificationEvents({ ...logFilters(state), limit: Infinity });
+  auditLog.record({
+    actor: auditLog.actorOf(interaction.user),
+    action: state.outcome === 'failure' ? 'admin.failures' : 'admin.successes',
+    params: { download: true, application: state.application || null, user: state.userId || null, window: state.window, results: total }
+  });
+
+  if (total === 0) {
+    return interaction.editReply({ content: '📋 No matching entries to download.' });
+  }
+
+  const name = `${state.outcome === 'failure' ? 'failures' : 'successes'}-${new Date().toISOString().split('T')[0]}`;
+  const text = events.map(event => database.formatVerificationEvent(event)).join('\n') + '\n';
+  const jsonl = events.map(event => JSON.stringify(event)).join('\n') + '\n';
+
+  return interaction.editReply({
+    content: `📥 ${total} matching entries (newest first)`,
+    files: [
+      new AttachmentBuilder(Buffer.from(text, 'utf-8'), { name: `${name}.txt` }),
+      new AttachmentBuilder(Buffer.from(jsonl, 'utf-8'), { name: `${name}.jsonl` })
+    ]
+  });
+}
+
+function logFilters({ outcome, application, userId, window }) {
+  const hours = LOG_WINDOWS[window];
+  return {
+    outcome,
+    application: application || null,
+    discordId: userId || null,
+    since: hours ? new Date(Date.now() - hours * 60 * 60 * 1000) : null
+  };
+}
+
+/**
+ * Render one page of the log browser with its controls
+ * @returns {Object} - Message payload for editReply / update
+ */
+function buildLogPage(state) {
+  const { events, total } = database.queryVerificationEvents({ ...logFilters(state), limit: Infinity });
+  const pages = Math.max(1, Math.ceil(total / state.pageSize));
+  state.page = Math.min(Math.max(state.page, 0), pages - 1);
+
+  const isFailure = state.outcome === 'failure';
+  const lines = events
+    .slice(state.page * state.pageSize, (state.page + 1) * state.pageSize)
+    .map(event => formatLogEvent(event));
+
+  const filters = [
+    state.application ? `📦 ${getLogApplications().find(a => a.value === state.application)?.name || state.application}` : null,
+    state.userId ? `👤 <@${state.userId}>` : null,
+    state.window !== 'all' ? `🕒 Last ${state.window}` : null
+  ].filter(Boolean);
+
   const embed = new EmbedBuilder()
-    .setTitle('❌ Recent Failed Verifications')
-    .setColor(0xff0000)
-    .setDescription(`Showing last ${Math.min(failures.length, 10)} failed verifications (simple log format)`)
+    .setTitle(isFailure ? '❌ Failed Verifications' : '✅ Successful Verifications')
+    .setColor(isFailure ? 0xff0000 : 0x00ff00)
+    .setDescription((
+      (filters.length ? `Filters: ${filters.join(' · ')}\n\n` : '') +
+      (lines.join('\n\n') || 'No matching entries.')
+    ).substring(0, 4000))
+    .setFooter({ text: `Page ${state.page + 1}/${pages} · ${total} matching` })
     .setTimestamp();
 
-  // Show log entries directly (they're already formatted)
-  const logText = failures.slice(0, 10).join('\n\n');
-  
-  // Split if too long
-  if (logText.length > 1024) {
-    embed.addFields({
-      name: 'Failed Verifications',
-      value: logText.substring(0, 1020) + '...',
-      inline: false
-    });
-  } else {
-    embed.addFields({
-      name: 'Failed Verifications',
-      value: logText || 'No data',
-      inline: false
-    });
-  }
+  const id = control => ['admin', 'logs', control, state.outcome, state.page, state.pageSize, state.application, state.userId, state.window].join(':');
 
-  // Summary stats
-  const totalFailures = database.getFailedVerifications(1000).length;
-  embed.setFooter({ text: `Total failed verifications logged: ${totalFailures}` });
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(id('prev')).setLabel('◀ Previous').setStyle(ButtonStyle.Secondary).setDisabled(state.page === 0),
+    new ButtonBuilder().setCustomId(id('next')).setLabel('Next ▶').setStyle(ButtonStyle.Secondary).setDisabled(state.page >= pages - 1),
+    new ButtonBuilder().setCustomId(id('download')).setLabel('📥 Download all').setStyle(ButtonStyle.Primary).setDisabled(total === 0)
+  );
 
-  return interaction.editReply({ embeds: [embed] });
+  const applicationSelect = new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(id('app'))
+      .setPlaceholder('Filter by application')
+      .addOptions(
+        [{ name: 'All applications', value: ALL }, ...getLogApplications()].slice(0, 25).map(app => ({
+          label: app.name,
+          value: app.value,
+          default: (state.application || ALL) === app.value
+        }))
+      )
+  );
+
+  const userSelect = new ActionRowBuilder().addComponents(
+    new UserSelectMenuBuilder()
+      .setCustomId(id('user'))
+      .setPlaceholder('Filter by user (clear to show everyone)')
+      .setMinValues(0)
+      .setMaxValues(1)
+      .setDefaultUsers(state.userId ? [state.userId] : [])
+  );
+
+  const windowSelect = new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(id('window'))
+      .setPlaceholder('Filter by date')
+      .addOptions(WINDOW_CHOICES.map(choice => ({ label: choice.name, value: choice.value, default: state.window === choice.value })))
+  );
+
+  return { embeds: [embed], components: [buttons, applicationSelect, userSelect, windowSelect] };
 }
 
-async function handleSuccesses(interaction) {
+/**
+ * One event in the log browser (full wallet, reason code and metrics)
+ */
+function formatLogEvent(event) {
+  const when = `<t:${Math.floor(new Date(event.timestamp).getTime() / 1000)}:f>`;
+  const user = event.discordId ? `<@${event.discordId}> (${event.discordUsername || 'Unknown'})` : 'Unknown';
+  const header = `${event.outcome === 'failure' ? '❌' : '✅'} ${when} **${event.applicationName || event.application}** · ${user} · ${event.source || 'unknown'}`;
+
+  if (event.outcome === 'failure') {
+    return `${header}\n\`${event.wallet}\` · \`${event.reasonCode || 'UNCLASSIFIED'}\` ${event.reason || ''}`;
+  }
+  const metrics = Object.entries(event.metrics || {}).map(([name, value]) => `${name}: ${value}`).join(', ');
+  return `${header}\n\`${event.wallet}\`${metrics ? ` · ${metrics}` : ''} · Role assigned: ${event.roleAssigned ? '✅' : '—'}`;
+}
+
+/**
+ * Applications and legacy contracts that can be filtered on
+ */
+function getLogApplications() {
+  return [
+    ...applications.getAll().map(app => ({ name: app.name, value: app.key })),
+    ...config.contracts.map(contract => ({ name: contract.name, value: contract.id }))
+  ];
+}
+
+/**
+ * Failure counts per reason code and application - shows whether members lack
+ * qualifying activity or the upstream APIs are failing
+ */
+async function handleFailureBreakdown(interaction) {
   await interaction.deferReply({ ephemeral: true });
-  
-  const limit = interaction.options.getInteger('limit') || 10;
-  const successes = database.getSuccessfulVerifications(limit);
 
-  if (successes.length === 0) {
+  const state = {
+    outcome: 'failure',
+    application: interaction.options.getString('application') || '',
+    userId: interaction.options.getUser('user')?.id || '',
+    window: interaction.options.getString('window') || '24h'
+  };
+  const period = state.window === 'all' ? 'all time' : `the last ${state.window}`;
+  const { total, byReason } = database.getFailureBreakdown(logFilters(state));
+  auditLog.record({
+    actor: auditLog.actorOf(interaction.user),
+    action: 'admin.failures',
+    params: { view: 'breakdown', application: state.application || null, user: state.userId || null, window: state.window }
+  });
+
+  if (total === 0) {
     return interaction.editReply({
-      content: '📋 No successful verifications recorded yet.'
+      content: `✅ No failed verifications in ${period}.`
     });
   }
 
+  const reasons = Object.entries(byReason).sort(([, a], [, b]) => b.total - a.total);
+  const upstream = reasons
+    .filter(([code]) => isUpstreamReason(code))
+    .reduce((sum, [, reason]) => sum + reason.total, 0);
+  const percent = count => `${Math.round(count / total * 100)}%`;
+
   const embed = new EmbedBuilder()
-    .setTitle('✅ Recent Successful Verifications')
-    .setColor(0x00ff00)
-    .setDescription(`Showing last ${Math.min(successes.length, 10)} successful verifications (simple log format)`)
+    .setTitle('📊 Failed Verifications by Reason')
+    .setColor(upstream > total / 2 ? 0xff0000 : 0xffa500)
+    .setDescription(
+      `**${total}** failed checks in **${period}**\n` +
+      `👤 Member side: **${total - upstream}** (${percent(total - upstream)}) · 🌐 Upstream: **${upstream}** (${percent(upstream)})` +
+      (upstream > total / 2 ? '\n\n⚠️ Most failures are upstream errors - the APIs or RPC may be down.' : '')
+    )
     .setTimestamp();
 
-  // Show log entries directly (they're already formatted)
-  const logText = successes.slice(0, 10).join('\n\n');
-  
-  // Split if too long
-  if (logText.length > 1024) {
-    embed.addFields({
-      name: 'Successful Verifications',
-      value: logText.substring(0, 1020) + '...',
-      inline: false
-    });
-  } else {
+  for (const [code, reason] of reasons.slice(0, 24)) {
+    const applications = Object.entries(reason.applications)
+      .sort(([, a], [, b]) => b - a)
+      .map(([name, count]) => `${name}: ${count}`)
+      .join('\n');
+
     embed.addFields({
-      name: 'Successful Verifications',
-      value: logText || 'No data',
-      inline: false
+      name: `${isUpstreamReason(code) ? '🌐' : '👤'} ${code} - ${reason.total} (${percent(reason.total)})`,
+      value: `*${describeReason(code)}*\n${applications}`.substring(0, 1024),
+      inline: true
     });
   }
 
-  // Summary stats
-  const totalSuccesses = database.getSuccessfulVerifications(1000).length;
-  embed.setFooter({ text: `Total successful verifications logged: ${totalSuccesses}` });
-
   return interaction.editReply({ embeds: [embed] });
 }
 
@@ -165,9 +658,18 @@ async function handleUserLookup(interaction) {
   const targetUser = interaction.options.getUser('target');
   const userData = database.getUserByDiscordId(targetUser.id);
 
+  auditLog.record({
+    actor: auditLog.actorOf(interaction.user),
+    action: 'admin.user',
+    target: targetUser.id,
+    params: { found: !!userData }
+  });
+
   if (!userData) {
+    const { addressHistory } = database.getLinkHistory(targetUser.id);
     return interaction.editReply({
-      content: `❌ User ${targetUser.tag} has not linked a wallet.`
+      content: `❌ User ${targetUser.tag} has not linked a wallet.` +
+        (addressHistory.length > 0 ? `\n\n📜 **Address History**\n${formatAddressHistory(addressHistory)}` : '')
     });
   }
 
@@ -177,6 +679,7 @@ async function handleUserLookup(interaction) {
 
   // Get member info
   const member = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
+  const addresses = database.getUserAddresses(targetUser.id);
 
   const embed = new EmbedBuilder()
     .setTitle(`👤 User Lookup: ${targetUser.tag}`)
@@ -186,7 +689,9 @@ async function handleUserLookup(interaction) {
       { name: '🆔 Discord ID', value: targetUser.id, inline: true },
       { name: '📛 Username', value: userData.discordUsername || targetUser.username, inline: true },
       { name: '🏷️ Tag', value: userData.discordTag || targetUser.tag, inline: true },
-      { name: '💼 Wallet', value: `\`${userData.wallet}\``, inline: false },
+      addresses.length > 1
+        ? { name: `💼 Wallets (${addresses.length})`, value: addresses.map(a => `\`${a.wallet}\`${a.wallet === userData.wallet ? ' (primary)' : ''}`).join('\n'), inline: false }
+        : { name: '💼 Wallet', value: `\`${userData.wallet}\``, inline: false },
       { name: '📅 Linked At', value: new Date(userData.linkedAt).toLocaleString(), inline: true },
       { name: '📈 Progress', value: `${verifiedCount}/${totalContracts} contracts`, inline: true }
     )
@@ -201,6 +706,15 @@ async function handleUserLookup(interaction) {
     });
   }
 
+  // Next scheduled check (backs off after repeated failures)
+  if (userData.nextCheckAt) {
+    embed.addFields({
+      name: '⏭️ Next Auto-Check',
+      value: `<t:${Math.floor(new Date(userData.nextCheckAt).getTime() / 1000)}:R>${userData.failureStreak ? ` (backoff ×${userData.failureStreak})` : ''}`,
+      inline: true
+    });
+  }
+
   // Verification attempts
   embed.addFields({
     name: '🔄 Attempts',
@@ -234,6 +748,28 @@ async function handleUserLookup(interaction) {
     inline: false
   });
 
+  // Moderator overrides
+  const overrides = Object.entries(database.getActiveOverrides(userData.wallet));
+  if (overrides.length > 0) {
+    embed.addFields({
+      name: '🛡️ Overrides',
+      value: overrides.map(([key, override]) =>
+        `**${applications.get(key)?.name || key}**: ${verification.describeOverride(override)}\n   ${override.reason} (by ${override.actor})`
+      ).join('\n'),
+      inline: false
+    });
+  }
+
+  // Every address the member has held
+  const linkHistory = database.getLinkHistory(targetUser.id);
+  if (linkHistory.addressHistory.length > 1 || linkHistory.relinkCount > 0) {
+    embed.addFields({
+      name: `📜 Address History (${linkHistory.relinkCount}/${config.link.maxRelinks} self-service changes)`,
+      value: formatAddressHistory(linkHistory.addressHistory),
+      inline: false
+    });
+  }
+
   // Current roles from database
   const dbRoles = userData.roles || [];
   if (dbRoles.length > 0) {
@@ -252,12 +788,247 @@ async function handleUserLookup(interaction) {
   return interaction.editReply({ embeds: [embed] });
 }
 
+/**
+ * /admin grant and /admin deny - store the override and apply it to the member now
+ */
+async function handleOverride(interaction, type) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const targetUser = interaction.options.getUser('target');
+  const app = applications.get(interaction.options.getString('application'));
+  const reason = interaction.options.getString('reason');
+  const actor = auditLog.actorOf(interaction.user);
+  const action = `override.${type}`;
+
+  const fail = error => {
+    auditLog.record({ actor, action, target: targetUser.id, params: { application: app?.key, reason }, outcome: 'failure', error });
+    return interaction.editReply({ content: `❌ ${error}` });
+  };
+
+  let expiresAt;
+  try {
+    expiresAt = parseExpiry(interaction.options.getString('expires'));
+  } catch (error) {
+    return fail(error.message);
+  }
+
+  const userData = database.getUserByDiscordId(targetUser.id);
+  if (!userData) {
+    return fail(`${targetUser.tag} has not linked a wallet - overrides are stored in the user record.`);
+  }
+  if (!app?.roleId) {
+    return fail(`${app?.name || 'This application'} has no role configured.`);
+  }
+
+  const override = database.setOverride(userData.wallet, app.key, {
+    type,
+    reason,
+    actor,
+    expiresAt: expiresAt?.toISOString() || null
+  });
+
+  // Apply right away instead of waiting for the next /verify or worker run
+  let applied = 'Member is not in the server - applied when they rejoin and verify';
+  const member = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
+  if (member) {
+    const hasRole = member.roles.cache.has(app.roleId);
+    if (type === OVERRIDE_TYPE.GRANT) {
+      if (hasRole) {
+        applied = 'Member already has the role';
+      } else {
+        try {
+          await member.roles.add(app.roleId, `Granted by ${interaction.user.tag}: ${reason}`);
+          database.addUserRole(userData.wallet, app.roleId);
+          database.clearPendingRevocation(userData.wallet, app.key);
+          applied = '✅ Role added';
+        } catch (error) {
+          logger.error('Failed to add granted role', { error: error.message, app: app.name });
+          applied = '⚠️ Could not add the role (check the bot role position) - retried on the next verification';
+        }
+      }
+    } else if (hasRole) {
+      const revocation = await roleManager.revokeRole(member, userData.wallet, app, 'Denied by a moderator', actor);
+      if (revocation) {
+        await roleManager.sendRevocationLog(member, userData.wallet, [revocation], actor);
+        applied = '🔻 Role removed';
+      } else {
+        applied = '⚠️ Could not remove the role - retried on the next verification';
+      }
+    } else {
+      applied = 'Member does not have the role';
+    }
+  }
+
+  auditLog.record({
+    actor,
+    action,
+    target: targetUser.id,
+    params: { wallet: userData.wallet, application: app.key, reason, expiresAt: override.expiresAt, applied }
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(type === OVERRIDE_TYPE.GRANT ? '🛡️ Role Granted' : '⛔ Role Denied')
+    .setColor(type === OVERRIDE_TYPE.GRANT ? 0x00ff00 : 0xff0000)
+    .addFields(
+      { name: '👤 Member', value: `${targetUser.tag} (${targetUser.id})`, inline: true },
+      { name: '📦 Application', value: app.name, inline: true },
+      { name: '⏳ Expires', value: expiresAt ? `<t:${Math.floor(expiresAt.getTime() / 1000)}:f>` : 'Never', inline: true },
+      { name: '📝 Reason', value: reason, inline: false },
+      { name: '🎭 Role', value: applied, inline: false }
+    )
+    .setFooter({ text: type === OVERRIDE_TYPE.GRANT
+      ? '/verify and the auto-verify worker keep this role until the override ends'
+      : '/verify and the auto-verify worker will not assign this role until the override ends' })
+    .setTimestamp();
+
+  return interaction.editReply({ embeds: [embed] });
+}
+
+async function handleClearOverride(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const targetUser = interaction.options.getUser('target');
+  const app = applications.get(interaction.options.getString('application'));
+  const userData = database.getUserByDiscordId(targetUser.id);
+  const removed = userData ? database.removeOverride(userData.wallet, app.key) : null;
+
+  auditLog.record({
+    actor: auditLog.actorOf(interaction.user),
+    action: 'override.clear',
+    target: targetUser.id,
+    params: { application: app.key, removed: removed?.type || null },
+    ...(removed ? {} : { outcome: 'failure', error: 'No override' })
+  });
+
+  if (!removed) {
+    return interaction.editReply({ content: `❌ ${targetUser.tag} has no override for ${app.name}.` });
+  }
+
+  return interaction.editReply({
+    content: `✅ Removed the ${removed.type} override for **${app.name}** from ${targetUser.tag}. The next verification applies the normal rules.`
+  });
+}
+
+/**
+ * One line per address a member has held, newest last
+ */
+function formatAddressHistory(history) {
+  const time = iso => iso ? `<t:${Math.floor(new Date(iso).getTime() / 1000)}:d>` : '?';
+  return history.slice(-10).map(entry =>
+    `\`${entry.wallet}\` ${time(entry.linkedAt)} → ${entry.unlinkedAt ? `${time(entry.unlinkedAt)} (${entry.unlinkedBy})` : 'current'}`
+  ).join('\n').substring(0, 1024);
+}
+
+/**
+ * Address and user options for /admin blocklist add|remove
+ */
+function addBlockTargetOptions(subcommand) {
+  return subcommand
+    .addStringOption(option =>
+      option.setName('address')
+        .setDescription('Gensyn Dashboard address')
+        .setRequired(false)
+    )
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('Discord user')
+        .setRequired(false)
+    );
+}
+
+async function handleBlocklist(interaction, subcommand) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const actor = auditLog.actorOf(interaction.user);
+
+  if (subcommand === 'list') {
+    const { addresses, discordIds } = database.getBlocklist();
+    const format = (label, entry) => `${label} - ${entry.reason} (<t:${Math.floor(new Date(entry.addedAt).getTime() / 1000)}:d>)`;
+    const addressLines = Object.entries(addresses).map(([address, entry]) => format(`\`${address}\``, entry));
+    const userLines = Object.entries(discordIds).map(([id, entry]) => format(`<@${id}>`, entry));
+
+    auditLog.record({ actor, action: 'blocklist.list', params: { addresses: addressLines.length, users: userLines.length } });
+
+    const embed = new EmbedBuilder()
+      .setTitle('🚫 Blocklist')
+      .setColor(0xff0000)
+      .addFields(
+        { name: `📍 Addresses (${addressLines.length})`, value: addressLines.join('\n').substring(0, 1024) || 'None', inline: false },
+        { name: `👤 Users (${userLines.length})`, value: userLines.join('\n').substring(0, 1024) || 'None', inline: false }
+      )
+      .setTimestamp();
+
+    return interaction.editReply({ embeds: [embed] });
+  }
+
+  const address = interaction.options.getString('address');
+  const targetUser = interaction.options.getUser('user');
+
+  if (!address && !targetUser) {
+    return interaction.editReply({ content: '❌ Provide an address, a user, or both.' });
+  }
+  if (address && !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    return interaction.editReply({ content: '❌ Invalid address format.' });
+  }
+
+  const targets = [
+    ...(address ? [{ type: 'address', value: address.toLowerCase(), label: `\`${address.toLowerCase()}\`` }] : []),
+    ...(targetUser ? [{ type: 'discord', value: targetUser.id, label: targetUser.tag }] : [])
+  ];
+
+  if (subcommand === 'add') {
+    const reason = interaction.options.getString('reason');
+    for (const target of targets) {
+      database.addBlock(target.type, target.value, { reason, actor });
+      auditLog.record({ actor, action: 'blocklist.add', target: target.value, params: { type: target.type, reason } });
+    }
+
+    return interaction.editReply({
+      content: `🚫 Blocked ${targets.map(t => t.label).join(' and ')}: ${reason}\n\nExisting roles are kept - use \`/admin deny\` or \`/admin-unlink\` to remove them.`
+    });
+  }
+
+  const lines = targets.map(target => {
+    const removed = database.removeBlock(target.type, target.value);
+    auditLog.record({
+      actor,
+      action: 'blocklist.remove',
+      target: target.value,
+      params: { type: target.type },
+      ...(removed ? {} : { outcome: 'failure', error: 'Not blocked' })
+    });
+    return removed ? `✅ Unblocked ${target.label}` : `❌ ${target.label} was not blocked`;
+  });
+
+  return interaction.editReply({ content: lines.join('\n') });
+}
+
+/**
+ * Parse an expiry option: a duration (12h, 7d, 2w) or a date
+ * @returns {Date|null}
+ */
+function parseExpiry(value) {
+  if (!value) return null;
+
+  const match = value.trim().match(/^(\d+)\s*([hdw])$/i);
+  const units = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+  const expiresAt = match
+    ? new Date(Date.now() + parseInt(match[1]) * units[match[2].toLowerCase()])
+    : parseDate(value, false);
+
+  if (expiresAt.getTime() <= Date.now()) {
+    throw new Error('The expiry must be in the future');
+  }
+  return expiresAt;
+}
+
 async function handleExport(interaction) {
   await interaction.deferReply({ ephemeral: true });
 
+  const actor = auditLog.actorOf(interaction.user);
+  const format = interaction.options.getString('format') || 'json';
+
   try {
-    const format = interaction.options.getString('format') || 'json';
-    
     let data;
     let filename;
     let mimeType;
@@ -300,6 +1071,7 @@ async function handleExport(interaction) {
       format,
       totalUsers: stats.totalUsers
     });
+    auditLog.record({ actor, action: 'admin.export', params: { format, totalUsers: stats.totalUsers } });
 
     return interaction.editReply({ 
       embeds: [embed], 
@@ -308,8 +1080,271 @@ async function handleExport(interaction) {
 
   } catch (error) {
     logger.error('Export failed', { error: error.message });
+    auditLog.record({ actor, action: 'admin.export', params: { format }, outcome: 'failure', error: error.message });
     return interaction.editReply({
       content: `❌ Export failed: ${error.message}`
     });
   }
 }
+
+async function handleAudit(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const actorUser = interaction.options.getUser('actor');
+  const action = interaction.options.getString('action');
+  const limit = interaction.options.getInteger('limit') || 15;
+
+  let since;
+  let until;
+  try {
+    since = parseDate(interaction.options.getString('since'), false);
+    until = parseDate(interaction.options.getString('until'), true);
+  } catch (error) {
+    return interaction.editReply({ content: `❌ ${error.message}` });
+  }
+
+  const filters = { actor: actorUser?.id || null, action, since, until };
+  const { entries, total } = auditLog.search({ ...filters, limit });
+  const chain = auditLog.verify();
+
+  auditLog.record({
+    actor: auditLog.actorOf(interaction.user),
+    action: 'audit.search',
+    params: { ...filters, since: since?.toISOString() || null, until: until?.toISOString() || null, results: total }
+  });
+
+  const lines = entries.map(e => {
+    const when = `<t:${Math.floor(new Date(e.timestamp).getTime() / 1000)}:f>`;
+    const target = e.target ? ` → \`${e.target}\`` : '';
+    const error = e.error ? `\n   ⚠️ ${e.error}` : '';
+    return `${e.outcome === 'failure' ? '❌' : '✅'} \`#${e.seq ?? '-'}\` ${when} **${e.action}**${target}\n   👮 ${e.actor}${error}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle('📜 Audit Log')
+    .setColor(chain.valid ? 0x3498db : 0xff0000)
+    .setDescription((lines.join('\n') || 'No matching entries.').substring(0, 4000))
+    .setFooter({
+      text: `${entries.length} of ${total} matching · ` + (chain.valid
+        ? `🔗 Chain intact (${chain.entries} entries)`
+        : `⚠️ Chain broken at line ${chain.brokenAt}: ${chain.reason}`)
+    })
+    .setTimestamp();
+
+  return interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Parse a YYYY-MM-DD or ISO date option (date-only "until" values include the whole day)
+ */
+function parseDate(value, endOfDay) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value} (use YYYY-MM-DD or an ISO time)`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function handleBackups(interaction, subcommand) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const actor = auditLog.actorOf(interaction.user);
+
+  if (subcommand === 'list') {
+    const backups = database.listBackups().map(b => database.getBackupInfo(b));
+    auditLog.record({ actor, action: 'backup.list', params: { count: backups.length } });
+
+    if (backups.length === 0) {
+      return interaction.editReply({ content: '📦 No backups found.' });
+    }
+
+    const lines = backups.slice(0, 15).map(b => {
+      const when = `<t:${Math.floor(b.time / 1000)}:f>`;
+      const details = b.valid
+        ? `${b.userCount} users · ${formatSize(b.size)}`
+        : `⚠️ unreadable (${b.error})`;
+      return `${b.periodic ? '🕐' : '📌'} \`${b.name}\`\n${when} · ${details}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle('📦 Database Backups')
+      .setColor(0x3498db)
+      .setDescription(lines.join('\n\n').substring(0, 4000))
+      .setFooter({ text: `${backups.length} backup(s) · 🕐 periodic (last 24 kept) · 📌 kept` })
+      .setTimestamp();
+
+    return interaction.editReply({ embeds: [embed] });
+  }
+
+  if (subcommand === 'create') {
+    if (database.isLocked()) {
+      return interaction.editReply({ content: '🔒 Security is locked - unlock with `/admin security unlock` before creating a backup.' });
+    }
+
+    const backupPath = database.backup('manual');
+
+    auditLog.record({
+      actor,
+      action: 'backup.create',
+      target: backupPath,
+      outcome: backupPath ? 'success' : 'failure'
+    });
+
+    if (!backupPath) {
+      return interaction.editReply({ content: '❌ Backup failed. Check the error log for details.' });
+    }
+
+    return interaction.editReply({ content: `✅ Backup created: \`${path.basename(backupPath)}\`` });
+  }
+
+  if (subcommand === 'restore') {
+    const name = interaction.options.getString('name');
+    const confirm = interaction.options.getBoolean('confirm');
+
+    if (!confirm) {
+      return interaction.editReply({ content: '⚠️ Restore cancelled. Set `confirm:True` to replace the current database.' });
+    }
+
+    const result = database.restoreBackup(name);
+
+    auditLog.record({
+      actor,
+      action: 'backup.restore',
+      target: name,
+      params: result.success ? { userCount: result.userCount, previousData: result.backupPath } : {},
+      outcome: result.success ? 'success' : 'failure',
+      error: result.error
+    });
+
+    if (!result.success) {
+      return interaction.editReply({ content: `❌ Restore failed: ${result.error}` });
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle('♻️ Database Restored')
+      .setColor(0x00ff00)
+      .addFields(
+        { name: '📦 Backup', value: `\`${name}\``, inline: false },
+        { name: '👥 Users', value: result.userCount.toString(), inline: true },
+        { name: '💾 Previous Data', value: `\`${path.basename(result.backupPath)}\``, inline: true }
+      )
+      .setTimestamp();
+
+    if (result.migrationReport?.migrations.length > 0) {
+      embed.addFields({
+        name: '🔧 Schema Migrated',
+        value: `v${result.migrationReport.fromVersion} → v${result.migrationReport.toVersion}`,
+        inline: true
+      });
+    }
+
+    return interaction.editReply({ embeds: [embed] });
+  }
+}
+
+async function handleSecurity(interaction, subcommand) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const actor = auditLog.actorOf(interaction.user);
+  const status = securityLock.getStatus();
+
+  if (!status.enabled) {
+    return interaction.editReply({ content: '⚠️ No master password is configured - there is nothing to lock.' });
+  }
+
+  if (subcommand === 'status') {
+    auditLog.record({ actor, action: 'security.status', params: { unlocked: status.unlocked } });
+    const embed = new EmbedBuilder()
+      .setTitle(status.unlocked ? '🔓 Security Unlocked' : '🔒 Security Locked')
+      .setColor(status.unlocked ? 0x00ff00 : 0xff9900)
+      .addFields(
+        { name: '⏱️ Auto-Lock', value: status.autoLockMinutes ? `After ${status.autoLockMinutes} min of admin inactivity` : 'Disabled', inline: true },
+        { name: '🕐 Last Admin Activity', value: `<t:${Math.floor(status.lastActivity.getTime() / 1000)}:R>`, inline: true }
+      )
+      .setTimestamp();
+
+    if (!status.unlocked) {
+      embed.addFields(
+        { name: '📝 Queued Changes', value: `Database: ${status.pendingWrites ? 'pending' : 'none'} · Log lines: ${status.pendingLogLines}`, inline: false },
+        { name: '🔑 Unlock', value: `Run \`npm run security:unlock-token\` on the server, then \`/admin security unlock\``, inline: false }
+      );
+    }
+
+    return interaction.editReply({ embeds: [embed] });
+  }
+
+  if (subcommand === 'lock') {
+    const locked = securityLock.lock(actor);
+    return interaction.editReply({
+      content: locked
+        ? '🔒 Security locked. Changes are kept in memory until unlocked.'
+        : '🔒 Security is already locked.'
+    });
+  }
+
+  if (subcommand === 'unlock') {
+    try {
+      securityLock.unlockWithToken(interaction.options.getString('token'), actor);
+    } catch (error) {
+      return interaction.editReply({ content: `❌ Unlock failed: ${error.message}` });
+    }
+
+    return interaction.editReply({ content: '🔓 Security unlocked. Queued changes have been written.' });
+  }
+
+  if (subcommand === 'rotate') {
+    const keyFile = interaction.options.getString('key_file');
+    const dryRun = !interaction.options.getBoolean('confirm');
+
+    let report;
+    try {
+      report = securityLock.rotateKey(security.readKeyFile(keyFile), actor, { dryRun });
+    } catch (error) {
+      auditLog.record({ actor, action: 'security.rotate', params: { dryRun }, outcome: 'failure', error: error.message });
+      return interaction.editReply({ content: `❌ Key rotation failed: ${error.message}` });
+    }
+
+    const counts = {};
+    for (const file of report.files) {
+      counts[file.type] = (counts[file.type] || 0) + 1;
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(report.error ? '❌ Key Rotation Aborted' : dryRun ? '🔍 Key Rotation Check' : '🔑 Master Key Rotated')
+      .setColor(report.error ? 0xff0000 : dryRun ? 0x3498db : 0x00ff00)
+      .addFields(
+        { name: '🗄️ Database', value: (counts.database || 0).toString(), inline: true },
+        { name: '📦 Backups', value: (counts.backup || 0).toString(), inline: true },
+        { name: '📝 Logs', value: (counts.log || 0).toString(), inline: true }
+      )
+      .setTimestamp();
+
+    if (report.error) {
+      embed.setDescription(`${report.error}\n\nNo file was changed - everything still uses the current key.`);
+    } else if (dryRun) {
+      embed.setDescription('Every file decrypts with the current key. Run again with `confirm:True` to rotate.');
+    } else {
+      embed.setDescription(
+        'All files now use the new key and the bot switched to it.\n\n' +
+        `**Update .env before the next restart:** set \`MASTER_KEY_FILE=${keyFile}\` and replace ` +
+        '`MASTER_PASSWORD_HASH` with the value printed by `security:setup`.'
+      );
+      if (report.reportPath) {
+        embed.addFields({ name: '📄 Report', value: `\`${report.reportPath}\``, inline: false });
+      }
+    }
+
+    return interaction.editReply({ embeds: [embed] });
+  }
+}
@@ -1,7 +1,10 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { isAddress } = require('ethers');
-const gensynApi = require('../services/gensynApi');
+const applications = require('../applications');
+const database = require('../services/database');
+const auditLog = require('../services/auditLog');
 const config = require('../config/config');
+const { VERIFICATION_STATUS } = require('../config/constants');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -21,14 +24,20 @@ module.exports = {
       return interaction.editReply('❌ Invalid address format. Please provide a valid Ethereum address (0x...).');
     }
     
+    const blocked = database.findBlock({ discordId: interaction.user.id, wallet: address });
+    if (blocked) {
+      auditLog.recordBlocked(auditLog.actorOf(interaction.user), blocked, 'checkwallet');
+      return interaction.editReply(`❌ ${blocked.type === 'address' ? 'This address is' : 'Your account is'} blocked from verification.`);
+    }
+    
     await interaction.editReply('🔍 Checking Gensyn Dashboard eligibility...');
     
     try {
-      const results = await gensynApi.verifyAll(address);
+      const results = await applications.verifyAll(address);
       
       const shortAddress = `${address.slice(0, 10)}...${address.slice(-8)}`;
       const eligibleCount = results.summary.totalEligible;
-      const totalApps = 4;
+      const totalApps = applications.getAll().length;
       
       const embed = new EmbedBuilder()
         .setColor(eligibleCount > 0 ? 0x00ff00 : 0xff0000)
@@ -42,33 +51,14 @@ module.exports = {
       // Add per-application status
       let appStatus = '';
       
-      // CodeAssist
-      const ca = results.codeAssist;
-      appStatus += ca.eligible 
-        ? `✅ **CodeAssist**: Participation: ${ca.participation}\n`
-        : `❌ **CodeAssist**: No participation\n`;
-      
-      // BlockAssist
-      const ba = results.blockAssist;
-      appStatus += ba.eligible 
-        ? `✅ **BlockAssist**: Participation: ${ba.participation}\n`
-        : `❌ **BlockAssist**: No participation\n`;
-      
-      // Judge
-      const judge = results.judge;
-      appStatus += judge.eligible 
-        ? `✅ **Judge**: Bets: ${judge.betsPlaced}, Points: ${judge.totalPoints}\n`
-        : `❌ **Judge**: No bets placed\n`;
-      
-      // RLSwarm
-      const rl = results.rlSwarm;
-      if (rl.eligible) {
-        appStatus += `✅ **RLSwarm**: Peers: ${rl.peerCount}, Wins: ${rl.totalWins}\n`;
-      } else {
-        if (rl.peerCount === 0) {
-          appStatus += `❌ **RLSwarm**: No peer IDs registered\n`;
+      for (const app of applications.getAll()) {
+        const result = results[app.key];
+        if (result.status === VERIFICATION_STATUS.ERROR) {
+          appStatus += `⚠️ **${app.name}**: Couldn't check right now, try again later\n`;
+        } else if (result.eligible) {
+          appStatus += `✅ **${app.name}**: ${app.formatDetails ? app.formatDetails(result) : 'Eligible'}\n`;
         } else {
-          appStatus += `❌ **RLSwarm**: Peers: ${rl.peerCount}, Wins: 0 (need wins)\n`;
+          appStatus += `❌ **${app.name}**: ${app.formatFailure ? app.formatFailure(result) : 'Not eligible'}\n`;
         }
       }
       
@@ -78,6 +68,14 @@ module.exports = {
         inline: false
       });
       
+      if (results.summary.errors.length > 0) {
+        embed.addFields({
+          name: '⚠️ Incomplete Check',
+          value: 'Some Gensyn services could not be reached, so those applications were not checked. Please try again later.',
+          inline: false
+        });
+      }
+      
       if (eligibleCount > 0) {
         embed.addFields({
           name: '💡 Next Steps',
@@ -1,5 +1,6 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const config = require('../config/config');
+const applications = require('../applications');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -7,39 +8,7 @@ module.exports = {
     .setDescription('Show Gensyn verification information'),
   
   async execute(interaction) {
-    // Define applications
-    const applications = [
-      { 
-        name: 'CodeAssist', 
-        key: 'codeAssist', 
-        roleId: config.roles.codeAssist,
-        description: 'Participate in CodeAssist to earn this role',
-        eligibility: 'Participation > 0'
-      },
-      { 
-        name: 'BlockAssist', 
-        key: 'blockAssist', 
-        roleId: config.roles.blockAssist,
-        description: 'Participate in BlockAssist to earn this role',
-        eligibility: 'Participation > 0'
-      },
-      { 
-        name: 'Judge (Verdict)', 
-        key: 'judge', 
-        roleId: config.roles.judge,
-        description: 'Place bets in the Judge/Verdict application',
-        eligibility: 'Bets placed > 0'
-      },
-      { 
-        name: 'RLSwarm (The Swarm)', 
-        key: 'rlSwarm', 
-        roleId: config.roles.rlSwarm,
-        description: 'Run a node and win in RLSwarm',
-        eligibility: 'Peer ID registered + Wins > 0'
-      }
-    ];
-
-    const configuredApps = applications.filter(a => a.roleId);
+    const configuredApps = applications.getConfigured();
     
     // Show info for all applications
     const embed = new EmbedBuilder()
@@ -53,11 +22,11 @@ module.exports = {
       );
     
     // Add each application as a field
-    applications.forEach((app, index) => {
+    applications.getAll().forEach((app, index) => {
       if (!app.roleId) return;
       
       embed.addFields({
-        name: `${index + 1}. ${app.name}`,
+        name: `${index + 1}. ${app.displayName || app.name}`,
         value: `**Description:** ${app.description}\n**Eligibility:** ${app.eligibility}\n**Role:** <@&${app.roleId}>`,
         inline: false
       });
@@ -71,7 +40,7 @@ module.exports = {
 
     embed.addFields({
       name: '⚠️ Important',
-      value: 'Use your **Gensyn Dashboard Address** (found on dashboard.gensyn.ai), NOT your external wallet address.',
+      value: 'Use your **Gensyn Dashboard Address** (found on dashboard.gensyn.ai), NOT your external wallet address. Linked the wrong one? Use `/relink`.',
       inline: false
     });
     
@@ -1,24 +1,53 @@
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const database = require('../services/database');
+const gensynApi = require('../services/gensynApi');
+const applications = require('../applications');
+const linkChallenges = require('../services/linkChallenges');
+const auditLog = require('../services/auditLog');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 
 module.exports = {
+  // Saves member data - refused while security is locked (see index.js)
+  requiresUnlock: true,
+
   data: new SlashCommandBuilder()
     .setName('link')
     .setDescription('Link your Gensyn Dashboard address to your Discord account')
     .addStringOption(option =>
       option.setName('wallet')
         .setDescription('Your Gensyn Dashboard address (0x...)')
-        .setRequired(true)
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option.setName('peer')
+        .setDescription('Your RLSwarm peer ID (from your node logs) - looks up the address it is registered to')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option.setName('signature')
+        .setDescription('Signature of the challenge message (only when ownership proof is required)')
+        .setRequired(false)
     ),
 
   async execute(interaction) {
     const wallet = interaction.options.getString('wallet');
+    const peerId = interaction.options.getString('peer');
     const discordId = interaction.user.id;
     const discordUsername = interaction.user.username;
     const discordTag = interaction.user.tag;
 
+    if (!wallet === !peerId) {
+      return interaction.reply({
+        content: '❌ Provide either `wallet:` (your Gensyn Dashboard address) or `peer:` (your RLSwarm peer ID).',
+        ephemeral: true
+      });
+    }
+
+    if (peerId) {
+      return resolvePeer(interaction, peerId.trim());
+    }
+
     // Validate wallet format
     if (!/^0x[a-fA-F0-9]{40}$/.test(wallet)) {
       return interaction.reply({
@@ -27,61 +56,217 @@ module.exports = {
       });
     }
 
-    const result = database.linkWallet(discordId, wallet, discordUsername, discordTag);
+    // Ownership proof: issue a challenge first, then accept a signature of it
+    let ownershipVerified = false;
+    if (config.link.requireSignature) {
+      const signature = interaction.options.getString('signature');
 
-    if (result.success) {
-      logger.discord('Address linked', { user: discordTag, wallet });
-      
-      // Build available roles list
-      const availableRoles = [];
-      const roleMapping = {
-        'CodeAssist': config.roles.codeAssist,
-        'BlockAssist': config.roles.blockAssist,
-        'Judge': config.roles.judge,
-        'RLSwarm': config.roles.rlSwarm
-      };
-
-      for (const [appName, roleId] of Object.entries(roleMapping)) {
-        if (roleId) {
-          const role = interaction.guild.roles.cache.get(roleId);
-          availableRoles.push(`• **${appName}** → ${role ? `<@&${roleId}>` : 'Role not found'}`);
-        }
+      if (!signature) {
+        return issueChallenge(interaction, wallet);
       }
 
-      const embed = new EmbedBuilder()
-        .setTitle('✅ Address Linked Successfully!')
-        .setColor(0x00ff00)
-        .addFields(
-          { name: '🔗 Gensyn Dashboard Address', value: `\`${wallet}\``, inline: false },
-          { name: '👤 Discord User', value: `${discordTag}`, inline: true },
-          { name: '📅 Linked At', value: new Date().toLocaleDateString(), inline: true },
-          { 
-            name: '🎭 Available Roles', 
-            value: availableRoles.length > 0 ? availableRoles.join('\n') : 'No roles configured',
-            inline: false 
-          },
-          {
-            name: '📋 Next Steps',
-            value: '1. Participate in Gensyn applications (CodeAssist, BlockAssist, Judge, RLSwarm)\n2. Use `/verify` to check your eligibility\n3. Get your roles automatically!',
-            inline: false
-          },
-          {
-            name: '⚠️ Important',
-            value: 'Make sure you linked your **Gensyn Dashboard Address** (the one shown on dashboard.gensyn.ai), NOT your external wallet address.',
-            inline: false
-          }
-        )
-        .setTimestamp();
+      const proof = linkChallenges.verify(discordId, wallet, signature);
+      if (!proof.success) {
+        return interaction.reply({
+          content: `❌ Ownership check failed: ${proof.error}`,
+          ephemeral: true
+        });
+      }
+      ownershipVerified = true;
+    }
+
+    const result = database.linkWallet(discordId, wallet, discordUsername, discordTag, ownershipVerified);
+
+    if (result.success) {
+      logger.discord('Address linked', { user: discordTag, wallet, ownershipVerified });
 
       return interaction.reply({
-        embeds: [embed],
+        embeds: [buildLinkedEmbed(interaction, wallet, result)],
         ephemeral: true
       });
     } else {
+      if (result.blocked) {
+        auditLog.recordBlocked(auditLog.actorOf(interaction.user), result.blocked, 'link');
+      }
       return interaction.reply({
         content: `❌ ${result.error}`,
         ephemeral: true
       });
     }
+  },
+
+  /**
+   * Confirm / cancel buttons of a peer ID lookup (customId "link:peer:<confirm|cancel>:<address>")
+   */
+  async handleComponent(interaction) {
+    const [, feature, control, wallet] = interaction.customId.split(':');
+    if (feature !== 'peer') return;
+
+    if (control !== 'confirm') {
+      return interaction.update({ content: 'Cancelled - nothing was linked.', embeds: [], components: [] });
+    }
+
+    // The address may have been linked or blocked since the lookup
+    const linkable = database.canLinkWallet(interaction.user.id, wallet);
+    if (!linkable.success) {
+      if (linkable.blocked) {
+        auditLog.recordBlocked(auditLog.actorOf(interaction.user), linkable.blocked, 'link');
+      }
+      return interaction.update({ content: `❌ ${linkable.error}`, embeds: [], components: [] });
+    }
+
+    if (config.link.requireSignature) {
+      return sendChallenge(interaction, wallet, 'link', { update: true });
+    }
+
+    const result = database.linkWallet(interaction.user.id, wallet, interaction.user.username, interaction.user.tag, false);
+    if (!result.success) {
+      return interaction.update({ content: `❌ ${result.error}`, embeds: [], components: [] });
+    }
+
+    logger.discord('Address linked', { user: interaction.user.tag, wallet, ownershipVerified: false, viaPeerId: true });
+    return interaction.update({ embeds: [buildLinkedEmbed(interaction, wallet, result)], components: [] });
   }
 };
+
+/**
+ * Success embed for a new link
+ * @param {Object} result - Result of database.linkWallet
+ */
+function buildLinkedEmbed(interaction, wallet, result) {
+  // Build available roles list
+  const availableRoles = [];
+  for (const app of applications.getConfigured()) {
+    const role = interaction.guild.roles.cache.get(app.roleId);
+    availableRoles.push(`• **${app.name}** → ${role ? `<@&${app.roleId}>` : 'Role not found'}`);
+  }
+
+  const linkedCount = database.getWalletsByDiscordId(interaction.user.id).length;
+  return new EmbedBuilder()
+    .setTitle(result.additional ? `✅ Address Linked (${linkedCount}/${config.link.maxAddresses})` : '✅ Address Linked Successfully!')
+    .setColor(0x00ff00)
+    .addFields(
+      { name: '🔗 Gensyn Dashboard Address', value: `\`${wallet}\``, inline: false },
+      { name: '👤 Discord User', value: `${interaction.user.tag}`, inline: true },
+      { name: '📅 Linked At', value: new Date().toLocaleDateString(), inline: true },
+      {
+        name: '🎭 Available Roles',
+        value: availableRoles.length > 0 ? availableRoles.join('\n') : 'No roles configured',
+        inline: false
+      },
+      {
+        name: '📋 Next Steps',
+        value: `1. Participate in Gensyn applications (${applications.getAll().map(a => a.name).join(', ')})\n2. Use \`/verify\` to check your eligibility\n3. Get your roles automatically!`,
+        inline: false
+      },
+      {
+        name: '⚠️ Important',
+        value: 'Make sure you linked your **Gensyn Dashboard Address** (the one shown on dashboard.gensyn.ai), NOT your external wallet address.',
+        inline: false
+      }
+    )
+    .setTimestamp();
+}
+
+// Look up the address a peer ID is registered to and ask the user to confirm it
+async function resolvePeer(interaction, peerId) {
+  // libp2p peer IDs are base58 ("Qm..." or "12D3KooW...")
+  if (!/^[1-9A-HJ-NP-Za-km-z]{40,100}$/.test(peerId)) {
+    return interaction.reply({
+      content: '❌ Invalid peer ID format. Copy the peer ID exactly as shown in your RLSwarm node logs (e.g. `Qm...`).',
+      ephemeral: true
+    });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  let wallet;
+  try {
+    wallet = await gensynApi.resolvePeerId(peerId);
+  } catch (error) {
+    logger.error('Peer ID lookup failed', { peerId, error: error.message });
+    return interaction.editReply({ content: '❌ Could not reach the swarm contract to look up this peer ID. Please try again later.' });
+  }
+
+  if (!wallet) {
+    return interaction.editReply({ content: '❌ This peer ID is not registered in the swarm contract. Check that you copied it from your node logs, or link with `/link wallet:0x...`.' });
+  }
+
+  const linkable = database.canLinkWallet(interaction.user.id, wallet);
+  if (!linkable.success) {
+    if (linkable.blocked) {
+      auditLog.recordBlocked(auditLog.actorOf(interaction.user), linkable.blocked, 'link');
+    }
+    return interaction.editReply({ content: `❌ ${linkable.error}` });
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle('🐝 Peer ID Found')
+    .setColor(0x0099ff)
+    .setDescription('This peer ID is registered to the address below. Is this the address you want to link?')
+    .addFields(
+      { name: '🆔 Peer ID', value: `\`${peerId}\``, inline: false },
+      { name: '🔗 Registered Address', value: `\`${wallet}\``, inline: false }
+    )
+    .setTimestamp();
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`link:peer:confirm:${wallet}`).setLabel('✅ Link this address').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId('link:peer:cancel').setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+  );
+
+  return interaction.editReply({ embeds: [embed], components: [buttons] });
+}
+
+// Send the challenge message the user must sign with their wallet
+async function issueChallenge(interaction, wallet) {
+  const discordId = interaction.user.id;
+
+  // Don't hand out a challenge for a link that would be refused anyway
+  const linkable = database.canLinkWallet(discordId, wallet);
+  if (!linkable.success) {
+    if (linkable.blocked) {
+      auditLog.recordBlocked(auditLog.actorOf(interaction.user), linkable.blocked, 'link');
+    }
+    return interaction.reply({
+      content: `❌ ${linkable.error}`,
+      ephemeral: true
+    });
+  }
+
+  return sendChallenge(interaction, wallet, 'link');
+}
+
+/**
+ * Reply with a new challenge for the address
+ * @param {string} command - Command to run with the signature ('link' or 'relink')
+ * @param {Object} options - { update: replace the message a button was clicked on,
+ *   replace: address being replaced, repeated in the /relink command }
+ */
+async function sendChallenge(interaction, wallet, command, { update = false, replace = null } = {}) {
+  const challenge = linkChallenges.create(interaction.user.id, wallet);
+  const expiresAtUnix = Math.floor(challenge.expiresAt / 1000);
+  const replaceOption = command === 'relink' && replace ? ` replace:${replace}` : '';
+
+  const embed = new EmbedBuilder()
+    .setTitle('✍️ Prove Address Ownership')
+    .setColor(0x0099ff)
+    .setDescription('Sign the message below with the wallet that controls this address (`personal_sign` / "Sign message"), then send the signature back.')
+    .addFields(
+      { name: '📝 Message to Sign', value: `\`\`\`\n${challenge.message}\n\`\`\``, inline: false },
+      { name: '📋 Next Step', value: `\`/${command} wallet:${wallet}${replaceOption} signature:0x...\``, inline: false },
+      { name: '⏰ Expires', value: `<t:${expiresAtUnix}:R>`, inline: true }
+    )
+    .setFooter({ text: 'Signing a message is free and does not send a transaction' })
+    .setTimestamp();
+
+  if (update) {
+    return interaction.update({ content: '', embeds: [embed], components: [] });
+  }
+  return interaction.reply({
+    embeds: [embed],
+    ephemeral: true
+  });
+}
+
+module.exports.sendChallenge = sendChallenge;
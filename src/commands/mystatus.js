@@ -1,7 +1,8 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const database = require('../services/database');
-const gensynApi = require('../services/gensynApi');
-const config = require('../config/config');
+const verification = require('../services/verification');
+const applications = require('../applications');
+const { VERIFICATION_STATUS, OVERRIDE_TYPE } = require('../config/constants');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -25,29 +26,29 @@ module.exports = {
     // Get stored verification data
     const storedVerification = database.getGensynVerification(userData.wallet);
 
-    // Get live verification data
-    let liveVerification = null;
-    try {
-      liveVerification = await gensynApi.verifyAll(userData.wallet);
-    } catch (error) {
-      console.error('Failed to get live verification:', error.message);
+    // Get live verification data for every linked address, combined per application
+    const addresses = database.getUserAddresses(discordId);
+    const perAddress = [];
+    for (const address of addresses) {
+      try {
+        perAddress.push({ wallet: address.wallet, results: await applications.verifyAll(address.wallet) });
+      } catch (error) {
+        console.error('Failed to get live verification:', error.message);
+      }
     }
+    const liveVerification = perAddress.length > 0 ? applications.aggregate(perAddress) : null;
 
-    // Define applications
-    const applications = [
-      { name: 'CodeAssist', key: 'codeAssist', roleId: config.roles.codeAssist },
-      { name: 'BlockAssist', key: 'blockAssist', roleId: config.roles.blockAssist },
-      { name: 'Judge', key: 'judge', roleId: config.roles.judge },
-      { name: 'RLSwarm', key: 'rlSwarm', roleId: config.roles.rlSwarm }
-    ];
+    // Moderator overrides win over the live result
+    const overrides = database.getActiveOverrides(userData.wallet);
 
     // Count verified applications
-    const configuredApps = applications.filter(a => a.roleId);
+    const configuredApps = applications.getConfigured();
     let verifiedCount = 0;
     
     for (const app of configuredApps) {
       const liveData = liveVerification?.[app.key];
-      if (liveData?.eligible) {
+      const override = overrides[app.key];
+      if (override ? override.type === OVERRIDE_TYPE.GRANT : liveData?.eligible) {
         verifiedCount++;
       }
     }
@@ -57,10 +58,10 @@ module.exports = {
 
     // Get current roles from Discord
     const currentRoles = [];
-    for (const [appName, roleId] of Object.entries(config.roles)) {
-      if (roleId && member.roles.cache.has(roleId)) {
-        const role = interaction.guild.roles.cache.get(roleId);
-        currentRoles.push(role?.name || appName);
+    for (const app of configuredApps) {
+      if (member.roles.cache.has(app.roleId)) {
+        const role = interaction.guild.roles.cache.get(app.roleId);
+        currentRoles.push(role?.name || app.name);
       }
     }
 
@@ -72,7 +73,9 @@ module.exports = {
       .setColor(verifiedCount === totalApps ? 0x00ff00 : (verifiedCount > 0 ? 0xffaa00 : 0xff0000))
       .addFields(
         { name: '👤 Discord', value: `${userData.discordTag || interaction.user.tag}`, inline: true },
-        { name: '🔗 Address', value: `\`${userData.wallet.substring(0, 10)}...${userData.wallet.slice(-8)}\``, inline: true },
+        addresses.length > 1
+          ? { name: '🔗 Addresses', value: `${addresses.length} linked`, inline: true }
+          : { name: '🔗 Address', value: `\`${userData.wallet.substring(0, 10)}...${userData.wallet.slice(-8)}\``, inline: true },
         { name: '📅 Linked', value: new Date(userData.linkedAt).toLocaleDateString(), inline: true },
         { name: '📈 Progress', value: `${progressBar}\n${verifiedCount}/${totalApps} applications (${percentage}%)`, inline: false }
       )
@@ -80,30 +83,35 @@ module.exports = {
 
     // Add per-application status
     let appStatus = '';
-    for (const app of applications) {
-      if (!app.roleId) {
-        continue; // Skip unconfigured applications
-      }
-
+    for (const app of configuredApps) {
       const liveData = liveVerification?.[app.key];
       const storedData = storedVerification?.[app.key];
       const hasRole = member.roles.cache.has(app.roleId);
       const role = interaction.guild.roles.cache.get(app.roleId);
       const roleName = role?.name || app.name;
 
-      if (liveData?.eligible) {
+      const override = overrides[app.key];
+
+      if (override) {
+        appStatus += `${override.type === OVERRIDE_TYPE.GRANT ? '🛡️' : '⛔'} **${app.name}**\n`;
+        appStatus += `   Role: ${roleName}${hasRole ? ' ✅' : ''}\n`;
+        appStatus += `   Status: ${verification.describeOverride(override)}\n`;
+      } else if (!liveData || liveData.status === VERIFICATION_STATUS.ERROR) {
+        appStatus += `⚠️ **${app.name}**\n`;
+        appStatus += `   Role: ${roleName}${hasRole ? ' ✅' : ''}\n`;
+        appStatus += `   Status: Couldn't check right now - try again later\n`;
+
+        // Fall back to the last conclusive result we have
+        if (storedData && storedData.status !== VERIFICATION_STATUS.ERROR) {
+          appStatus += `   Last known: ${storedData.eligible ? '✅ Eligible' : '❌ Not eligible'}\n`;
+        }
+      } else if (liveData.eligible) {
         appStatus += `✅ **${app.name}**\n`;
         appStatus += `   Role: ${roleName} ${hasRole ? '✅' : '⚠️ Run /verify'}\n`;
         
         // Add app-specific details
-        if (app.key === 'codeAssist') {
-          appStatus += `   Participation: ${liveData.participation || 0}\n`;
-        } else if (app.key === 'blockAssist') {
-          appStatus += `   Participation: ${liveData.participation || 0}\n`;
-        } else if (app.key === 'judge') {
-          appStatus += `   Bets: ${liveData.betsPlaced || 0}, Points: ${liveData.totalPoints || 0}\n`;
-        } else if (app.key === 'rlSwarm') {
-          appStatus += `   Peers: ${liveData.peerCount || 0}, Wins: ${liveData.totalWins || 0}\n`;
+        if (app.formatDetails) {
+          appStatus += `   ${app.formatDetails(liveData)}\n`;
         }
       } else {
         appStatus += `❌ **${app.name}**\n`;
@@ -111,12 +119,8 @@ module.exports = {
         appStatus += `   Status: Not eligible\n`;
         
         // Add hints
-        if (app.key === 'rlSwarm' && liveData) {
-          if (liveData.peerCount === 0) {
-            appStatus += `   Hint: No peer IDs registered\n`;
-          } else {
-            appStatus += `   Hint: Need wins (Peers: ${liveData.peerCount})\n`;
-          }
+        if (app.formatFailure) {
+          appStatus += `   Hint: ${app.formatFailure(liveData)}\n`;
         }
       }
       appStatus += '\n';
@@ -128,6 +132,37 @@ module.exports = {
       inline: false 
     });
 
+    // App-specific breakdowns (e.g. wins of each RLSwarm peer ID)
+    for (const app of configuredApps) {
+      const liveData = liveVerification?.[app.key];
+      const lines = app.formatBreakdown && liveData ? app.formatBreakdown(liveData) : [];
+      if (lines.length > 0) {
+        embed.addFields({
+          name: `📊 ${app.name} Breakdown`,
+          value: lines.join('\n').substring(0, 1024),
+          inline: false
+        });
+      }
+    }
+
+    // Per-address breakdown
+    if (perAddress.length > 1) {
+      embed.addFields({
+        name: '🔗 Per Address',
+        value: perAddress.map(({ wallet, results }) => {
+          const apps = configuredApps.map(app => {
+            const result = results[app.key];
+            if (result.status === VERIFICATION_STATUS.ERROR) return `${app.name} ⚠️`;
+            return result.eligible && app.formatDetails
+              ? `${app.name} ✅ (${app.formatDetails(result)})`
+              : `${app.name} ${result.eligible ? '✅' : '❌'}`;
+          });
+          return `\`${wallet.substring(0, 10)}...${wallet.slice(-4)}\`${wallet === userData.wallet ? ' (primary)' : ''}\n   ${apps.join(' · ')}`;
+        }).join('\n').substring(0, 1024),
+        inline: false
+      });
+    }
+
     // Show current roles
     if (currentRoles.length > 0) {
       embed.addFields({
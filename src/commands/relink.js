@@ -0,0 +1,118 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const database = require('../services/database');
+const roleManager = require('../services/roleManager');
+const verification = require('../services/verification');
+const linkChallenges = require('../services/linkChallenges');
+const auditLog = require('../services/auditLog');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { sendChallenge } = require('./link');
+const { formatRefusal, remainingChanges } = require('./unlink');
+
+module.exports = {
+  // Saves member data - refused while security is locked (see index.js)
+  requiresUnlock: true,
+
+  data: new SlashCommandBuilder()
+    .setName('relink')
+    .setDescription('Replace your linked address with a different Gensyn Dashboard address')
+    .addStringOption(option =>
+      option.setName('wallet')
+        .setDescription('Your new Gensyn Dashboard address (0x...)')
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      option.setName('replace')
+        .setDescription('Linked address to replace (required when you linked several)')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option.setName('signature')
+        .setDescription('Signature of the challenge message (only when ownership proof is required)')
+        .setRequired(false)
+    ),
+
+  async execute(interaction) {
+    const wallet = interaction.options.getString('wallet');
+    const discordId = interaction.user.id;
+
+    if (!/^0x[a-fA-F0-9]{40}$/.test(wallet)) {
+      return interaction.reply({
+        content: '❌ Invalid address format. Please provide a valid Ethereum address (0x...).\n\n**Important:** Use your Gensyn Dashboard Address, NOT your external wallet address.',
+        ephemeral: true
+      });
+    }
+
+    const changeable = database.canChangeLink(discordId);
+    if (!changeable.success) {
+      return interaction.reply({ content: formatRefusal(changeable), ephemeral: true });
+    }
+
+    // Refuse before a challenge is signed (or a signature used up) for an address that can't be linked
+    const replace = interaction.options.getString('replace');
+    const relinkable = database.canRelinkWallet(discordId, wallet, replace);
+    if (!relinkable.success) {
+      if (relinkable.blocked) {
+        auditLog.recordBlocked(auditLog.actorOf(interaction.user), relinkable.blocked, 'relink');
+      }
+      return interaction.reply({ content: `❌ ${relinkable.error}`, ephemeral: true });
+    }
+
+    let ownershipVerified = false;
+    if (config.link.requireSignature) {
+      const signature = interaction.options.getString('signature');
+
+      if (!signature) {
+        return sendChallenge(interaction, wallet, 'relink', { replace });
+      }
+
+      const proof = linkChallenges.verify(discordId, wallet, signature);
+      if (!proof.success) {
+        return interaction.reply({
+          content: `❌ Ownership check failed: ${proof.error}`,
+          ephemeral: true
+        });
+      }
+      ownershipVerified = true;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    // Overrides live on the primary record, which the relink may replace
+    const overrides = database.getActiveOverrides(database.getWalletByDiscordId(discordId));
+    const result = database.relinkWallet(discordId, wallet, {
+      replace,
+      discordUsername: interaction.user.username,
+      discordTag: interaction.user.tag,
+      ownershipVerified
+    });
+
+    if (!result.success) {
+      if (result.blocked) {
+        auditLog.recordBlocked(auditLog.actorOf(interaction.user), result.blocked, 'relink');
+      }
+      return interaction.editReply({ content: `❌ ${result.error}` });
+    }
+
+    // Roles were earned by the old address; with other addresses left they are rechecked against them now
+    const revoked = result.remaining === 0
+      ? await roleManager.revokeAllRoles(interaction.member, result.oldWallet, 'Address changed by member', interaction.user.tag, overrides)
+      : await verification.recheckRemaining(discordId, interaction.member);
+
+    logger.discord('Address relinked', { user: interaction.user.tag, oldWallet: result.oldWallet, wallet, ownershipVerified });
+
+    const embed = new EmbedBuilder()
+      .setTitle('🔁 Address Changed')
+      .setColor(0x00ff00)
+      .addFields(
+        { name: '🔗 New Address', value: `\`${wallet.toLowerCase()}\``, inline: false },
+        { name: '🗑️ Previous Address', value: `\`${result.oldWallet}\``, inline: false },
+        { name: '🔻 Roles Removed', value: revoked.length > 0 ? revoked.map(r => r.roleName).join(', ') : 'None', inline: true },
+        { name: '🔁 Changes Left', value: `${remainingChanges(discordId)}/${config.link.maxRelinks}`, inline: true },
+        { name: '📋 Next Step', value: 'Run `/verify` to check the new address and get your roles', inline: false }
+      )
+      .setTimestamp();
+
+    return interaction.editReply({ embeds: [embed] });
+  }
+};
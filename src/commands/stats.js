@@ -2,6 +2,8 @@ const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('disc
 const database = require('../services/database');
 const performance = require('../utils/performance');
 const config = require('../config/config');
+const applications = require('../applications');
+const auditLog = require('../services/auditLog');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -13,6 +15,7 @@ module.exports = {
     await interaction.deferReply({ ephemeral: true });
 
     const stats = database.getStats();
+    auditLog.record({ actor: auditLog.actorOf(interaction.user), action: 'stats.view' });
     const perfStats = performance.getStats();
     const memoryUsage = performance.getMemoryUsage();
 
@@ -22,14 +25,16 @@ module.exports = {
       .addFields(
         { name: '👥 Total Users', value: stats.totalUsers.toString(), inline: true },
         { name: '✅ Verified', value: stats.verifiedUsers.toString(), inline: true },
-        { name: '⏳ Pending', value: stats.pendingUsers.toString(), inline: true }
+        { name: '⏳ Pending', value: stats.pendingUsers.toString(), inline: true },
+        { name: '🔗 Linked Addresses', value: stats.linkedAddresses.toString(), inline: true }
       )
       .setTimestamp();
 
-    // Gensyn API status
+    // Gensyn API status (hosts only - RPC URLs often carry an API key)
     let apiStatus = '';
-    apiStatus = `**Gensyn Dashboard API**: dashboard.gensyn.ai\n`;
-    apiStatus += `**RPC**: ${config.blockchain?.rpcUrl || 'gensyn-testnet.g.alchemy.com'}`;
+    apiStatus = `**Gensyn Dashboard API**: ${new URL(config.gensyn.dashboardUrl).host}\n`;
+    apiStatus += `**RPC**: ${new URL(config.gensyn.rpcUrl).host}\n`;
+    apiStatus += `**Swarm Contracts**: ${config.gensyn.swarmContracts.map((address, i) => `\`${address}\`${i === 0 ? ' (current)' : ''}`).join(', ')}`;
     
     embed.addFields({ 
       name: '🔗 API Configuration', 
@@ -39,20 +44,13 @@ module.exports = {
 
     // Per-application role configuration
     let roleConfig = '';
-    const roleMapping = {
-      'CodeAssist': config.roles.codeAssist,
-      'BlockAssist': config.roles.blockAssist,
-      'Judge': config.roles.judge,
-      'RLSwarm': config.roles.rlSwarm
-    };
-
-    for (const [appName, roleId] of Object.entries(roleMapping)) {
-      if (roleId) {
-        const role = interaction.guild.roles.cache.get(roleId);
+    for (const app of applications.getAll()) {
+      if (app.roleId) {
+        const role = interaction.guild.roles.cache.get(app.roleId);
         const roleName = role?.name || 'Role not found';
-        roleConfig += `**${appName}**: ${roleName}\n`;
+        roleConfig += `**${app.name}**: ${roleName}\n`;
       } else {
-        roleConfig += `**${appName}**: ⚠️ Not configured\n`;
+        roleConfig += `**${app.name}**: ⚠️ Not configured\n`;
       }
     }
 
@@ -62,6 +60,23 @@ module.exports = {
       inline: false 
     });
 
+    // Members verified per application
+    if (Object.keys(stats.applicationStats).length > 0) {
+      let applicationStats = '';
+      for (const data of Object.values(stats.applicationStats)) {
+        const percentage = stats.totalUsers > 0
+          ? Math.round((data.verified / stats.totalUsers) * 100)
+          : 0;
+        applicationStats += `**${data.name}**: ${data.verified} verified (${percentage}%)\n`;
+      }
+
+      embed.addFields({
+        name: '📱 Application Stats',
+        value: applicationStats,
+        inline: false
+      });
+    }
+
     // Legacy contract verification stats (if any)
     if (Object.keys(stats.contractStats).length > 0) {
       let contractStats = '';
@@ -0,0 +1,97 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const database = require('../services/database');
+const roleManager = require('../services/roleManager');
+const verification = require('../services/verification');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+module.exports = {
+  // Saves member data - refused while security is locked (see index.js)
+  requiresUnlock: true,
+
+  data: new SlashCommandBuilder()
+    .setName('unlink')
+    .setDescription('Unlink your Gensyn Dashboard address (e.g. to link a different one)')
+    .addBooleanOption(option =>
+      option.setName('confirm')
+        .setDescription('Confirm that your application roles may be removed')
+        .setRequired(true)
+    )
+    .addStringOption(option =>
+      option.setName('wallet')
+        .setDescription('Address to unlink (required when you linked several)')
+        .setRequired(false)
+    ),
+
+  async execute(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const discordId = interaction.user.id;
+    const changeable = database.canChangeLink(discordId);
+    if (!changeable.success) {
+      return interaction.editReply({ content: formatRefusal(changeable) });
+    }
+
+    if (!interaction.options.getBoolean('confirm')) {
+      return interaction.editReply({
+        content: '⚠️ Unlinking removes the roles your address earned and counts towards your address changes. Run `/unlink confirm:True` to continue, or use `/relink` to switch addresses in one step.'
+      });
+    }
+
+    const wallets = database.getWalletsByDiscordId(discordId);
+    const requested = interaction.options.getString('wallet')?.toLowerCase();
+    const wallet = requested || (wallets.length === 1 ? wallets[0] : null);
+    if (!wallet) {
+      return interaction.editReply({ content: `❌ You have several addresses linked - choose one with \`wallet:\`\n${wallets.map(w => `• \`${w}\``).join('\n')}` });
+    }
+    if (!wallets.includes(wallet)) {
+      return interaction.editReply({ content: '❌ That address is not linked to your account.' });
+    }
+
+    // With other addresses left, roles are rechecked against them once this one is gone
+    const overrides = database.getActiveOverrides(database.getWalletByDiscordId(discordId));
+    const revoked = wallets.length === 1
+      ? await roleManager.revokeAllRoles(interaction.member, wallet, 'Address unlinked by member', interaction.user.tag, overrides)
+      : [];
+    database.unlinkWallet(wallet, 'self');
+    if (wallets.length > 1) {
+      revoked.push(...await verification.recheckRemaining(discordId, interaction.member));
+    }
+
+    logger.discord('Address unlinked', { user: interaction.user.tag, wallet, revoked: revoked.map(r => r.roleName) });
+
+    const embed = new EmbedBuilder()
+      .setTitle('🔓 Address Unlinked')
+      .setColor(0xffaa00)
+      .addFields(
+        { name: '🔗 Address Removed', value: `\`${wallet}\``, inline: false },
+        { name: '🔻 Roles Removed', value: revoked.length > 0 ? revoked.map(r => r.roleName).join(', ') : 'None', inline: true },
+        { name: '🔁 Changes Left', value: `${remainingChanges(discordId)}/${config.link.maxRelinks}`, inline: true },
+        wallets.length === 1
+          ? { name: '📋 Next Step', value: 'Link your **Gensyn Dashboard Address** with `/link wallet:0x...`', inline: false }
+          : { name: '📋 Roles Rechecked', value: `Your roles were rechecked against the ${wallets.length - 1} address(es) still linked`, inline: false }
+      )
+      .setTimestamp();
+
+    return interaction.editReply({ embeds: [embed] });
+  }
+};
+
+/**
+ * Message for a refused /unlink or /relink
+ */
+function formatRefusal({ error, retryAt }) {
+  return retryAt
+    ? `⏳ ${error} - you can change it again <t:${Math.floor(retryAt.getTime() / 1000)}:R>.`
+    : `❌ ${error}`;
+}
+
+/**
+ * Self-service address changes the member has left
+ */
+function remainingChanges(discordId) {
+  return Math.max(0, config.link.maxRelinks - database.getLinkHistory(discordId).relinkCount);
+}
+
+module.exports.formatRefusal = formatRefusal;
+module.exports.remainingChanges = remainingChanges;
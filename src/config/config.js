@@ -1,4 +1,13 @@
 require('dotenv').config();
+const { REVOCATION_POLICY } = require('./constants');
+
+// Read the revocation policy for an application (falls back to REVOKE_POLICY)
+function revocationPolicy(prefix) {
+  return {
+    policy: (process.env[`${prefix}_REVOKE_POLICY`] || process.env.REVOKE_POLICY || REVOCATION_POLICY.KEEP).toLowerCase(),
+    graceHours: parseInt(process.env[`${prefix}_REVOKE_GRACE_HOURS`]) || parseInt(process.env.REVOKE_GRACE_HOURS) || 72,
+  };
+}
 
 const config = {
   // Discord Configuration
@@ -9,19 +18,28 @@ const config = {
     logChannelId: process.env.LOG_CHANNEL_ID,
   },
 
-  // Gensyn Application Role IDs
-  roles: {
-    codeAssist: process.env.CODEASSIST_ROLE_ID,
-    blockAssist: process.env.BLOCKASSIST_ROLE_ID,
-    judge: process.env.JUDGE_ROLE_ID,
-    rlSwarm: process.env.RLSWARM_ROLE_ID,
-  },
-
   // Security Configuration
   security: {
     masterPassword: process.env.MASTER_PASSWORD,
+    // Non-interactive unlock (see SecurityService.readKeySource)
+    passwordHash: process.env.MASTER_PASSWORD_HASH || null,
+    keyFile: process.env.MASTER_KEY_FILE || null,
+    keyFd: process.env.MASTER_KEY_FD || null,
+    keyFromEnv: !!process.env.MASTER_KEY,
     encryptionEnabled: process.env.ENCRYPTION_ENABLED !== 'false',
-    autoLockTimeout: parseInt(process.env.AUTO_LOCK_TIMEOUT) || 5, // minutes
+    autoLockTimeout: parseInt(process.env.AUTO_LOCK_TIMEOUT) || 0, // minutes of admin inactivity, 0 = never lock
+    unlockRequestPath: process.env.UNLOCK_REQUEST_PATH || './data/unlock-request.pem',
+  },
+
+  // Gensyn Dashboard API and RLSwarm contract
+  gensyn: {
+    dashboardUrl: (process.env.GENSYN_DASHBOARD_URL || 'https://dashboard.gensyn.ai/api/v1').replace(/\/+$/, ''),
+    rpcUrl: process.env.GENSYN_RPC_URL || 'https://gensyn-testnet.g.alchemy.com/public',
+    // Comma-separated, current deployment first - wins on older deployments still count
+    swarmContracts: (process.env.SWARM_CONTRACT_ADDRESS || '0x7745a8FE4b8D2D2c3BB103F8dCae822746F35Da0')
+      .split(',').map(address => address.trim()).filter(Boolean),
+    // Multicall3 for batched contract reads (empty = send the calls individually)
+    multicallAddress: (process.env.MULTICALL_ADDRESS ?? '0xcA11bde05977b3631167028862bE2a173976CA11').trim() || null,
   },
 
   // Explorer API Configuration
@@ -46,13 +64,20 @@ const config = {
     enabled: process.env.ENABLE_AUTO_VERIFY !== 'false',
     intervalMinutes: parseInt(process.env.AUTO_VERIFY_INTERVAL) || 5,
     maxBatchSize: parseInt(process.env.AUTO_VERIFY_BATCH_SIZE) || 50,
+    legacyContracts: process.env.AUTO_VERIFY_LEGACY_CONTRACTS !== 'false', // Also check CONTRACT_n (if configured)
+    statePath: process.env.AUTO_VERIFY_STATE_PATH || './data/scheduler.json', // Persisted scheduler cursor
+    verifiedIntervalHours: parseFloat(process.env.AUTO_VERIFY_VERIFIED_INTERVAL) || 24, // Recheck fully verified users
+    maxBackoffHours: parseFloat(process.env.AUTO_VERIFY_MAX_BACKOFF) || 24, // Cap for repeated failures
   },
 
   // Database Settings
   database: {
+    backend: (process.env.DB_BACKEND || 'json').toLowerCase(), // json | sqlite
     path: process.env.DB_PATH || './data/users.json',
+    sqlitePath: process.env.DB_SQLITE_PATH || './data/users.db',
     backupEnabled: process.env.DB_BACKUP_ENABLED !== 'false',
     backupInterval: parseInt(process.env.DB_BACKUP_INTERVAL) || 1, // Changed to 1 hour
+    writeDebounceMs: parseInt(process.env.DB_WRITE_DEBOUNCE_MS) || 500, // Coalesce writes within this window
   },
 
   // Logging Settings
@@ -62,8 +87,19 @@ const config = {
     combinedLogPath: './logs/combined.log',
     failedLogPath: process.env.FAILED_LOG_PATH || './logs/failed.txt',
     successLogPath: process.env.SUCCESS_LOG_PATH || './logs/success.txt',
+    verificationEventsPath: process.env.VERIFICATION_EVENTS_PATH || './logs/verifications.jsonl',
     auditLogPath: './logs/audit.log',
-    maxLogEntries: parseInt(process.env.MAX_LOG_ENTRIES) || 1000,
+    // Verification events kept in the event log (older events are trimmed)
+    maxLogEntries: parseInt(process.env.MAX_LOG_ENTRIES) || 10000,
+  },
+
+  // Wallet Linking
+  link: {
+    requireSignature: process.env.LINK_REQUIRE_SIGNATURE === 'true',
+    challengeTtlMinutes: parseInt(process.env.LINK_CHALLENGE_TTL) || 10,
+    relinkCooldownHours: parseFloat(process.env.RELINK_COOLDOWN_HOURS) || 24, // between self-service /unlink or /relink
+    maxRelinks: parseInt(process.env.RELINK_MAX) || 3, // self-service address changes per member
+    maxAddresses: parseInt(process.env.LINK_MAX_ADDRESSES) || 5, // addresses one Discord user can link
   },
 
   // Rate Limiting
@@ -110,7 +146,51 @@ for (let i = 1; i <= 20; i++) {
   }
 }
 
+// Role ID and revocation policy (keep | revoke | grace) of a Gensyn application
+// Read from <PREFIX>_ROLE_ID and <PREFIX>_REVOKE_POLICY, PREFIX being the module's envPrefix
+config.getApplicationSettings = function(envPrefix) {
+  return {
+    roleId: process.env[`${envPrefix}_ROLE_ID`],
+    revocation: revocationPolicy(envPrefix),
+  };
+};
+
+// Validate and show the application registry (called once it has loaded)
+config.validateApplications = function(applications) {
+  if (!applications.some(app => app.roleId) && this.contracts.length === 0) {
+    console.warn('⚠️  No Gensyn roles or legacy contracts configured');
+  }
+
+  console.log('✅ Gensyn Verification System');
+  console.log('   Applications:');
+
+  const validPolicies = Object.values(REVOCATION_POLICY);
+  for (const app of applications) {
+    if (app.roleId) {
+      console.log(`   ✅ ${app.name}: Role ID ${app.roleId}`);
+    } else {
+      console.log(`   ⚠️  ${app.name}: Not configured (${app.envPrefix}_ROLE_ID)`);
+    }
+
+    if (!validPolicies.includes(app.revocation.policy)) {
+      console.warn(`⚠️  Unknown revoke policy "${app.revocation.policy}" for ${app.name}, using "${REVOCATION_POLICY.KEEP}"`);
+      app.revocation.policy = REVOCATION_POLICY.KEEP;
+    }
+  }
+};
+
 // Helper functions for multi-contract support
+// The bot has to be unlocked when any master password / key source is configured
+config.isSecurityEnabled = function() {
+  const s = this.security;
+  return !!(s.masterPassword || s.passwordHash || s.keyFile || s.keyFd || s.keyFromEnv);
+};
+
+// Data at rest is encrypted when the bot is unlocked and encryption is not disabled
+config.isEncryptionEnabled = function() {
+  return this.security.encryptionEnabled && this.isSecurityEnabled();
+};
+
 config.getContractById = function(contractId) {
   return this.contracts.find(c => c.id === contractId);
 };
@@ -172,33 +252,50 @@ function validateConfig() {
     throw new Error('❌ Missing DISCORD_TOKEN in environment variables');
   }
 
-  // Check if at least one Gensyn role is configured
-  const configuredRoles = Object.entries(config.roles).filter(([key, value]) => value);
-  
-  if (configuredRoles.length === 0 && config.contracts.length === 0) {
-    console.warn('⚠️  No Gensyn roles or legacy contracts configured');
-  }
+  // Application roles and revocation policies are validated by the registry (config.validateApplications)
 
-  // Show Gensyn role configuration
-  console.log('✅ Gensyn Verification System');
-  console.log('   Applications:');
-  
-  const roleNames = {
-    codeAssist: 'CodeAssist',
-    blockAssist: 'BlockAssist', 
-    judge: 'Judge',
-    rlSwarm: 'RLSwarm'
-  };
-  
-  for (const [key, value] of Object.entries(config.roles)) {
-    const name = roleNames[key] || key;
-    if (value) {
-      console.log(`   ✅ ${name}: Role ID ${value}`);
-    } else {
-      console.log(`   ⚠️  ${name}: Not configured`);
+  // Validate Gensyn endpoints (a bad URL or address would fail every verification)
+  for (const [name, value] of [['GENSYN_DASHBOARD_URL', config.gensyn.dashboardUrl], ['GENSYN_RPC_URL', config.gensyn.rpcUrl]]) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new Error(`❌ ${name} is not a valid URL: ${value}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`❌ ${name} must be an http(s) URL: ${value}`);
     }
   }
 
+  if (config.gensyn.swarmContracts.length === 0) {
+    throw new Error('❌ SWARM_CONTRACT_ADDRESS must list at least one contract address');
+  }
+  const invalidContracts = config.gensyn.swarmContracts.filter(address => !/^0x[a-fA-F0-9]{40}$/.test(address));
+  if (invalidContracts.length > 0) {
+    throw new Error(`❌ Invalid SWARM_CONTRACT_ADDRESS entries: ${invalidContracts.join(', ')}`);
+  }
+  if (config.gensyn.multicallAddress && !/^0x[a-fA-F0-9]{40}$/.test(config.gensyn.multicallAddress)) {
+    throw new Error(`❌ Invalid MULTICALL_ADDRESS: ${config.gensyn.multicallAddress}`);
+  }
+  const uniqueContracts = [...new Map(config.gensyn.swarmContracts.map(a => [a.toLowerCase(), a])).values()];
+  if (uniqueContracts.length < config.gensyn.swarmContracts.length) {
+    console.warn('⚠️  SWARM_CONTRACT_ADDRESS lists the same contract twice, ignoring duplicates');
+    config.gensyn.swarmContracts = uniqueContracts;
+  }
+
+  console.log(`   Swarm contracts: ${config.gensyn.swarmContracts.length} (RPC: ${new URL(config.gensyn.rpcUrl).host})`);
+
+  // Validate database backend
+  if (!['json', 'sqlite'].includes(config.database.backend)) {
+    console.warn(`⚠️  Unknown DB_BACKEND "${config.database.backend}", using "json"`);
+    config.database.backend = 'json';
+  }
+
+  // users.db and its log_events table cannot be encrypted at rest
+  if (config.database.backend === 'sqlite' && config.isEncryptionEnabled()) {
+    throw new Error('❌ DB_BACKEND=sqlite does not support encryption at rest - use DB_BACKEND=json, or set ENCRYPTION_ENABLED=false and protect users.db with disk encryption');
+  }
+
   // Show legacy contracts if any
   if (config.contracts.length > 0) {
     console.log(`\n   Legacy Contracts: ${config.contracts.length}`);
@@ -0,0 +1,39 @@
+// Outcome of a single application check
+const VERIFICATION_STATUS = {
+  ELIGIBLE: 'eligible',
+  NOT_ELIGIBLE: 'not_eligible',
+  ERROR: 'error',
+};
+
+// What happens to an application role once its holder is no longer eligible
+const REVOCATION_POLICY = {
+  KEEP: 'keep',       // Keep the role forever
+  REVOKE: 'revoke',   // Remove the role as soon as eligibility is lost
+  GRACE: 'grace',     // Remove the role after a grace period
+};
+
+// Moderator override for one application (stored in user.overrides[applicationKey])
+const OVERRIDE_TYPE = {
+  GRANT: 'grant', // Keep the role whatever the checks say
+  DENY: 'deny',   // Never hold the role, even when eligible
+};
+
+// Why a verification attempt failed (stored with every failed verification event)
+const REASON_CODE = {
+  NO_PARTICIPATION: 'NO_PARTICIPATION', // No activity recorded for the application
+  NO_PEERS: 'NO_PEERS',                 // RLSwarm: no peer IDs registered for the address
+  NO_WINS: 'NO_WINS',                   // RLSwarm: peers registered but no wins
+  BELOW_THRESHOLD: 'BELOW_THRESHOLD',   // Some activity, but less than required
+  UPSTREAM_TIMEOUT: 'UPSTREAM_TIMEOUT', // API or RPC did not answer in time
+  UPSTREAM_5XX: 'UPSTREAM_5XX',         // API or RPC server error
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',     // Any other upstream failure (rate limit, bad response)
+  INVALID_ADDRESS: 'INVALID_ADDRESS',   // The address itself was rejected
+  DENIED: 'DENIED',                     // Blocked by a moderator override
+};
+
+module.exports = {
+  VERIFICATION_STATUS,
+  REVOCATION_POLICY,
+  OVERRIDE_TYPE,
+  REASON_CODE,
+};
@@ -4,7 +4,9 @@ const path = require('path');
 const config = require('./config/config');
 const logger = require('./utils/logger');
 const explorerApi = require('./services/explorerApi');
+const database = require('./services/database');
 const security = require('./utils/security');
+const securityLock = require('./services/securityLock');
 const AutoVerifyWorker = require('./workers/autoVerify');
 
 const client = new Client({
@@ -83,10 +85,62 @@ client.once('ready', async () => {
   }
 });
 
+// Member commands that save data are refused while the master key is locked
+const LOCKED_REPLY = {
+  content: '🔒 The bot is temporarily locked for maintenance - please try again later.',
+  ephemeral: true
+};
+
 // Handle slash command interactions
 client.on('interactionCreate', async interaction => {
+  if (interaction.isAutocomplete()) {
+    const command = client.commands.get(interaction.commandName);
+    if (!command?.autocomplete) return;
+
+    try {
+      await command.autocomplete(interaction);
+    } catch (error) {
+      logger.error('Autocomplete error', { command: interaction.commandName, error: error.message });
+    }
+    return;
+  }
+
+  if (interaction.isMessageComponent()) {
+    // Buttons and select menus: the customId starts with the command name ("admin:logs:...")
+    const commandName = interaction.customId.split(':')[0];
+    const command = client.commands.get(commandName);
+    if (!command?.handleComponent) return;
+
+    if (command.requiresUnlock && database.isLocked()) {
+      return interaction.reply(LOCKED_REPLY);
+    }
+
+    if (commandName.startsWith('admin')) {
+      security.updateActivity();
+    }
+
+    try {
+      await command.handleComponent(interaction);
+    } catch (error) {
+      logger.error('Component interaction error', { command: commandName, customId: interaction.customId, error: error.message });
+
+      const errorMessage = { content: '❌ There was an error handling this action!', ephemeral: true };
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(errorMessage);
+      } else {
+        await interaction.reply(errorMessage);
+      }
+    }
+    return;
+  }
+
   if (!interaction.isChatInputCommand()) return;
 
+  // Admin activity keeps security from auto-locking
+  if (interaction.commandName.startsWith('admin')) {
+    security.updateActivity();
+  }
+
   const command = client.commands.get(interaction.commandName);
 
   if (!command) {
@@ -94,6 +148,10 @@ client.on('interactionCreate', async interaction => {
     return;
   }
 
+  if (command.requiresUnlock && database.isLocked()) {
+    return interaction.reply(LOCKED_REPLY);
+  }
+
   try {
     await command.execute(interaction);
     logger.debug('Command executed', { 
@@ -132,28 +190,44 @@ process.on('unhandledRejection', error => {
   });
 });
 
-process.on('SIGINT', () => {
-  logger.info('Received SIGINT, shutting down gracefully...');
-  client.destroy();
-  process.exit(0);
-});
+function shutdown(signal) {
+  logger.info(`Received ${signal}, shutting down gracefully...`);
+
+  // Changes queued while locked cannot be encrypted without the key
+  const queued = database.getQueuedChanges();
+  if (queued) {
+    logger.error('Shutting down while security is locked - changes queued since the lock are lost', queued);
+  } else {
+    database.flush();
+  }
 
-process.on('SIGTERM', () => {
-  logger.info('Received SIGTERM, shutting down gracefully...');
   client.destroy();
-  process.exit(0);
-});
+  process.exit(queued ? 1 : 0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Login with security check
 async function startBot() {
   // Security verification
-  if (config.security.masterPassword) {
+  if (config.isSecurityEnabled()) {
+    securityLock.start();
     const securityOk = await security.initialize();
     if (!securityOk) {
       process.exit(1);
     }
+
+    if (config.isEncryptionEnabled()) {
+      try {
+        database.open(security.createCipher());
+      } catch (error) {
+        logger.error('Failed to open encrypted database', { error: error.message });
+        process.exit(1);
+      }
+    }
   } else {
-    logger.warn('⚠️  Running without password protection. Set MASTER_PASSWORD in .env for security.');
+    logger.warn('⚠️  Running without password protection. Set MASTER_PASSWORD_HASH in .env for security (npm run security:setup).');
   }
 
   logger.info('🚀 Starting Discord bot...');
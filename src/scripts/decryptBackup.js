@@ -0,0 +1,58 @@
+/**
+ * Decrypt an encrypted backup (or verification log) for offline inspection.
+ *
+ * Usage: npm run decrypt-backup -- <file> [--out <path>]
+ *   file   Encrypted backup (data/backups/users-*.json) or log (logs/failed.txt, logs/success.txt)
+ *   --out  Write the plaintext to this path instead of stdout
+ *
+ * Uses MASTER_KEY_FILE / MASTER_KEY_FD / MASTER_KEY or MASTER_PASSWORD when set,
+ * otherwise prompts for the master password. Does not need the bot's .env.
+ */
+const fs = require('fs');
+const security = require('../utils/security');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const outPath = outIndex !== -1 ? args[outIndex + 1] : null;
+  const filePath = args.find((arg, i) => !arg.startsWith('--') && (outIndex === -1 || i !== outIndex + 1));
+
+  if (!filePath) {
+    throw new Error('Usage: npm run decrypt-backup -- <file> [--out <path>]');
+  }
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  let key = security.readKeySource()?.key;
+  if (!key) {
+    const password = process.env.MASTER_PASSWORD || await security.promptPassword();
+    process.stdin.pause();
+    key = security.deriveMasterKey(password || '');
+  }
+
+  // Backups are one encrypted block, logs are encrypted line by line
+  let plaintext = content.split('\n')
+    .filter(line => line.trim())
+    .map(line => security.isEncryptedData(line) ? security.decryptWithKey(line, key) : line)
+    .join('\n');
+
+  try {
+    plaintext = JSON.stringify(JSON.parse(plaintext), null, 2);
+  } catch (error) {
+    // Not JSON - a log file
+  }
+
+  if (outPath) {
+    fs.writeFileSync(outPath, plaintext + '\n', { mode: 0o600 });
+    console.error(`✅ Decrypted to ${outPath} - delete it when you are done.`);
+  } else {
+    process.stdout.write(plaintext + '\n');
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,42 @@
+/**
+ * Run or preview user record schema migrations.
+ *
+ * Usage: npm run db:migrate -- [--dry-run]
+ *   --dry-run  Report what would change without writing anything
+ *
+ * Migrations also run automatically when the bot starts; a backup is taken
+ * before any record is changed.
+ */
+const config = require('../config/config');
+const migrations = require('../services/migrations');
+const { createStore } = require('../services/storage');
+const { unlockCipher } = require('./unlock');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const cipher = await unlockCipher();
+
+  if (dryRun) {
+    // Read the store directly - loading the Database service would migrate it
+    const store = createStore(config.database, cipher, { readOnly: true });
+    store.load();
+    try {
+      console.log(`\n${migrations.formatReport(migrations.run(store, { dryRun: true }))}\n`);
+    } finally {
+      store.close();
+    }
+    return;
+  }
+
+  const database = require('../services/database');
+  if (!database.isOpen()) {
+    database.open(cipher);
+  }
+  console.log(`\n${migrations.formatReport(database.migrationReport)}\n`);
+  database.flush();
+}
+
+main().catch(error => {
+  console.error(`\n❌ Migration failed: ${error.message}\n`);
+  process.exitCode = 1;
+});
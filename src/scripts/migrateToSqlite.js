@@ -0,0 +1,84 @@
+/**
+ * One-shot import of an existing users.json into the SQLite backend.
+ *
+ * Usage: npm run migrate:sqlite -- [path/to/users.json] [--force]
+ *   path     JSON database to import (default: DB_PATH)
+ *   --force  Replace users already present in the SQLite database
+ *
+ * The JSON file is only read, never modified.
+ */
+const fs = require('fs');
+const config = require('../config/config');
+const { JsonStore, SqliteStore } = require('../services/storage');
+const { unlockCipher } = require('./unlock');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const sourcePath = args.find(arg => !arg.startsWith('--')) || config.database.path;
+  const targetPath = config.database.sqlitePath;
+
+  console.log('\n📦 JSON → SQLite migration');
+  console.log(`   Source: ${sourcePath}`);
+  console.log(`   Target: ${targetPath}\n`);
+
+  if (config.isEncryptionEnabled()) {
+    throw new Error('The SQLite backend does not support encryption at rest - set ENCRYPTION_ENABLED=false (and protect users.db with disk encryption) before importing');
+  }
+
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`Source database not found: ${sourcePath}`);
+  }
+
+  const { users: data, meta } = JsonStore.readFile(sourcePath, await unlockCipher());
+  const wallets = Object.keys(data);
+
+  // Wallets are keys in the SQLite table too - normalize before importing
+  const normalized = {};
+  for (const wallet of wallets) {
+    normalized[wallet.toLowerCase()] = data[wallet];
+  }
+
+  const store = new SqliteStore({ path: targetPath });
+  store.load();
+
+  try {
+    const existing = store.count();
+    if (existing > 0 && !force) {
+      throw new Error(`Target already contains ${existing} users. Re-run with --force to replace them.`);
+    }
+
+    store.replaceAll(normalized, meta);
+
+    // Check the import round-trips
+    const imported = store.count();
+    const missing = Object.entries(normalized)
+      .filter(([wallet, user]) => !store.getWalletsByDiscordId(user.discordId).includes(wallet) || !store.get(wallet))
+      .map(([wallet]) => wallet);
+
+    const verifications = Object.values(normalized)
+      .reduce((sum, user) => sum + Object.keys(user.verifications || {}).length, 0);
+    const roleGrants = Object.values(normalized)
+      .reduce((sum, user) => sum + (user.roles || []).length, 0);
+
+    console.log(`   ✅ Users imported: ${imported}/${wallets.length}`);
+    console.log(`   ✅ Contract verifications: ${verifications}`);
+    console.log(`   ✅ Role grants: ${roleGrants}`);
+
+    if (missing.length > 0 || imported !== Object.keys(normalized).length) {
+      console.log(`   ❌ ${missing.length} user(s) could not be read back:`);
+      missing.slice(0, 20).forEach(wallet => console.log(`      • ${wallet}`));
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log('\n🎉 Migration complete. Set DB_BACKEND=sqlite in .env and restart the bot.\n');
+  } finally {
+    store.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`\n❌ Migration failed: ${error.message}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,117 @@
+/**
+ * Rotate the master key: re-encrypt the database, backups and logs with a new key.
+ *
+ * Usage: npm run security:rotate -- [--new-key-file <path>] [--key-file <path>] [--dry-run]
+ *   --new-key-file  Read the new key from a key file (npm run security:setup -- --key-file)
+ *   --key-file      Write the new key to this file (mode 0600) after rotating
+ *   --dry-run       Only check that every file decrypts with the current key
+ *
+ * The current key comes from MASTER_KEY_FILE / MASTER_KEY_FD / MASTER_KEY or the prompt;
+ * the new password is prompted for unless --new-key-file is given.
+ * Stop the bot first - a running bot keeps writing with the old key.
+ * Old files are only replaced after every new file was written and verified;
+ * an interrupted rotation is finished or undone on the next run or bot start.
+ */
+const fs = require('fs');
+const os = require('os');
+const security = require('../utils/security');
+const keyRotation = require('../services/keyRotation');
+const auditLog = require('../services/auditLog');
+
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return null;
+  if (!args[index + 1] || args[index + 1].startsWith('--')) {
+    throw new Error(`${name} needs a path`);
+  }
+  return args[index + 1];
+}
+
+async function readCurrentKey() {
+  const source = security.readKeySource();
+  if (source) return source.key;
+
+  const password = await security.promptPassword('Current master password');
+  if (!password) {
+    throw new Error('No password entered');
+  }
+  return security.deriveMasterKey(password);
+}
+
+async function readNewKey(newKeyFile) {
+  if (newKeyFile) {
+    return security.readKeyFile(newKeyFile);
+  }
+
+  const password = await security.promptPassword('New master password');
+  if (!password) {
+    throw new Error('No password entered');
+  }
+  if (await security.promptPassword('Confirm new master password') !== password) {
+    throw new Error('Passwords do not match');
+  }
+  return security.deriveMasterKey(password);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const newKeyFile = optionValue(args, '--new-key-file');
+  const keyFile = optionValue(args, '--key-file');
+
+  if (keyFile && fs.existsSync(keyFile)) {
+    throw new Error(`Key file already exists: ${keyFile}`);
+  }
+
+  const recovered = keyRotation.recover();
+  if (recovered) {
+    console.log(`⚠️  An interrupted rotation was ${recovered === 'completed' ? 'completed - files now use the NEW key' : 'rolled back'}.`);
+  }
+
+  const currentKey = await readCurrentKey();
+  if (!security.verifyKey(currentKey)) {
+    throw new Error('Incorrect current master password');
+  }
+
+  const newKey = dryRun ? currentKey : await readNewKey(newKeyFile);
+  process.stdin.pause();
+  if (!dryRun && newKey.equals(currentKey)) {
+    throw new Error('The new key is the same as the current key');
+  }
+
+  console.log('\n🔄 Master key rotation\n');
+  const report = keyRotation.rotate(security.createCipher(currentKey), security.createCipher(newKey), { dryRun });
+  console.log(keyRotation.formatReport(report));
+
+  auditLog.record({
+    actor: `cli (${os.userInfo().username})`,
+    action: 'security.rotate',
+    params: { dryRun, files: report.files.length, report: report.reportPath || null },
+    outcome: report.error ? 'failure' : 'success',
+    error: report.error
+  });
+
+  if (report.error) {
+    process.exitCode = 1;
+    return;
+  }
+  if (dryRun) {
+    console.log('\n✅ Every file can be rotated.\n');
+    return;
+  }
+
+  console.log('\n🔐 Update .env before starting the bot:\n');
+  console.log(`MASTER_PASSWORD_HASH=${security.createKeyHash(newKey)}`);
+  if (keyFile) {
+    fs.writeFileSync(keyFile, newKey.toString('hex') + '\n', { mode: 0o600, flag: 'wx' });
+    console.log(`MASTER_KEY_FILE=${keyFile}`);
+  } else if (newKeyFile) {
+    console.log(`MASTER_KEY_FILE=${newKeyFile}`);
+  }
+  console.log('\nRemove MASTER_PASSWORD and any old MASTER_KEY / key file.\n');
+}
+
+main().catch(error => {
+  console.error(`\n❌ Key rotation failed: ${error.message}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,57 @@
+/**
+ * Create the non-interactive unlock material for the master password.
+ *
+ * Usage: npm run security:setup -- [--key-file <path>] [--print-key]
+ *   --key-file   Write the derived key to this file (mode 0600) for MASTER_KEY_FILE
+ *   --print-key  Print the derived key for MASTER_KEY / MASTER_KEY_FD
+ *
+ * Always prints a MASTER_PASSWORD_HASH verifier to put in .env in place of MASTER_PASSWORD.
+ * Use the same password as before - it derives the key existing encrypted data was written with.
+ */
+const fs = require('fs');
+const security = require('../utils/security');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const keyFileIndex = args.indexOf('--key-file');
+  const keyFile = keyFileIndex !== -1 ? args[keyFileIndex + 1] : null;
+  const printKey = args.includes('--print-key');
+
+  if (keyFileIndex !== -1 && !keyFile) {
+    throw new Error('Usage: npm run security:setup -- [--key-file <path>] [--print-key]');
+  }
+  if (keyFile && fs.existsSync(keyFile)) {
+    throw new Error(`Key file already exists: ${keyFile}`);
+  }
+
+  const password = await security.promptPassword();
+  if (!password) {
+    throw new Error('No password entered');
+  }
+  if (process.stdin.isTTY) {
+    if (await security.promptPassword('Confirm master password') !== password) {
+      throw new Error('Passwords do not match');
+    }
+  }
+  process.stdin.pause();
+
+  const key = security.deriveMasterKey(password);
+
+  console.log('\n🔐 Add to .env and remove MASTER_PASSWORD:\n');
+  console.log(`MASTER_PASSWORD_HASH=${security.createPasswordHash(password)}`);
+
+  if (keyFile) {
+    fs.writeFileSync(keyFile, key.toString('hex') + '\n', { mode: 0o600, flag: 'wx' });
+    console.log(`MASTER_KEY_FILE=${keyFile}`);
+  }
+
+  if (printKey) {
+    console.log(`\n🔑 Derived key (MASTER_KEY / MASTER_KEY_FD) - treat it like the password:\n${key.toString('hex')}`);
+  }
+  console.log('');
+}
+
+main().catch(error => {
+  console.error(`\n❌ ${error.message}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,23 @@
+const config = require('../config/config');
+const security = require('../utils/security');
+
+/**
+ * Unlock the master key for a CLI tool
+ * @returns {Promise<Object|null>} - At-rest cipher, or null when encryption is disabled
+ */
+async function unlockCipher() {
+  if (!config.isEncryptionEnabled()) {
+    return null;
+  }
+
+  const ok = await security.initialize();
+  security.stopAutoLock();
+  process.stdin.pause();
+
+  if (!ok) {
+    throw new Error('Unlock failed');
+  }
+  return security.createCipher();
+}
+
+module.exports = { unlockCipher };
@@ -0,0 +1,55 @@
+/**
+ * Create a time-limited token that unlocks a locked bot.
+ *
+ * Usage: npm run security:unlock-token -- [--minutes <n>]
+ *   --minutes  How long the token is valid (default: 15)
+ *
+ * Reads the unlock request the bot wrote when it locked (UNLOCK_REQUEST_PATH) and
+ * encrypts the master key to it. The token only works for that lock; paste it into
+ * /admin security unlock. Uses MASTER_KEY_FILE / MASTER_KEY_FD / MASTER_KEY when set,
+ * otherwise prompts for the master password.
+ */
+const fs = require('fs');
+const config = require('../config/config');
+const security = require('../utils/security');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const minutesIndex = args.indexOf('--minutes');
+  const minutes = minutesIndex !== -1 ? parseInt(args[minutesIndex + 1]) : 15;
+
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > 24 * 60) {
+    throw new Error('--minutes must be between 1 and 1440');
+  }
+
+  const requestPath = config.security.unlockRequestPath;
+  if (!fs.existsSync(requestPath)) {
+    throw new Error(`No unlock request at ${requestPath} - the bot is not locked`);
+  }
+  const publicKey = fs.readFileSync(requestPath, 'utf8');
+
+  let key = security.readKeySource()?.key;
+  if (!key) {
+    const password = await security.promptPassword();
+    process.stdin.pause();
+    if (!password) {
+      throw new Error('No password entered');
+    }
+    key = security.deriveMasterKey(password);
+  }
+
+  if (!security.verifyKey(key)) {
+    throw new Error('Incorrect master password');
+  }
+
+  const { token, expiresAt } = security.createUnlockToken(key, publicKey, minutes);
+
+  console.log(`\n🔑 Unlock token (valid until ${expiresAt.toLocaleString()}):\n`);
+  console.log(token);
+  console.log('\nRun /admin security unlock token:<token> in Discord.\n');
+}
+
+main().catch(error => {
+  console.error(`\n❌ ${error.message}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Read this much of the end of the file to find the previous entry
+const TAIL_BYTES = 64 * 1024;
+
+/**
+ * Append-only audit log of admin actions (one JSON object per line)
+ *
+ * Entries are hash chained: each entry stores the hash of the previous line
+ * (`prevHash`) and its own `hash` over every other field, so editing, removing or
+ * reordering lines breaks the chain (see verify()).
+ * The chain alone can be recomputed by whoever edits the file, so the newest
+ * `{seq, hash}` is also kept in the (encrypted) database metadata - the anchor.
+ * A rewritten or truncated log no longer matches it.
+ */
+class AuditLog {
+  constructor() {
+    this.logPath = config.logging.auditLogPath;
+    this.anchor = null;
+  }
+
+  /**
+   * Keep the chain head in the database (called once the database is open)
+   * Entries written while no anchor was attached (startup, CLI scripts) are adopted
+   * only if the log still matches the previous anchor.
+   * @param {{get: Function, set: Function}} anchor - Reads / writes `{seq, hash}`
+   */
+  setAnchor(anchor) {
+    this.anchor = anchor;
+
+    const result = this.verify();
+    if (!result.valid) {
+      logger.error('Audit log does not verify - keeping the previous anchor', { line: result.brokenAt, reason: result.reason });
+      return;
+    }
+    const { line } = this.readTail();
+    if (line) {
+      this.anchor.set(this.headOf(line));
+    }
+  }
+
+  headOf(line) {
+    const entry = JSON.parse(line);
+    return { seq: entry.seq, hash: entry.hash };
+  }
+
+  /**
+   * Actor string for a Discord user ("tag (id)")
+   */
+  actorOf(user) {
+    return `${user.tag} (${user.id})`;
+  }
+
+  hashEntry(entry) {
+    return crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+  }
+
+  /**
+   * Hash the previous line links to: its own hash, or the hash of the raw line for
+   * entries written before chaining was introduced
+   */
+  linkHash(line) {
+    try {
+      const entry = JSON.parse(line);
+      if (entry.hash) return entry.hash;
+    } catch (error) {
+      // Not JSON - chain to the raw line
+    }
+    return crypto.createHash('sha256').update(line).digest('hex');
+  }
+
+  /**
+   * Read the last line of the log (re-read on every write so other processes,
+   * e.g. the rotation CLI, extend the same chain)
+   * @returns {{line: string|null, seq: number}}
+   */
+  readTail() {
+    if (!fs.existsSync(this.logPath)) return { line: null, seq: 0 };
+
+    const size = fs.statSync(this.logPath).size;
+    const length = Math.min(size, TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(this.logPath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, length, size - length);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const lines = buffer.toString('utf8').split('\n').filter(line => line.trim());
+    const line = lines.pop() || null;
+    let seq = 0;
+    try {
+      seq = JSON.parse(line).seq || 0;
+    } catch (error) {
+      // Legacy or unreadable last line - the next entry restarts the numbering
+    }
+    return { line, seq };
+  }
+
+  /**
+   * Record an admin action
+   * @param {Object} entry
+   * @param {string} entry.actor - Who performed the action (see actorOf)
+   * @param {string} entry.action - Action name (e.g. "backup.restore")
+   * @param {string} entry.target - What the action was applied to (optional)
+   * @param {Object} entry.params - Action parameters (optional)
+   * @param {string} entry.outcome - "success" or "failure"
+   * @param {string} entry.error - Failure reason (optional)
+   */
+  record({ actor, action, target = null, params = {}, outcome = 'success', error = null }) {
+    let entry = {
+      timestamp: new Date().toISOString(),
+      actor,
+      action,
+      target,
+      params,
+      outcome,
+      ...(error ? { error } : {})
+    };
+
+    try {
+      const dir = path.dirname(this.logPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const tail = this.readTail();
+      entry = {
+        seq: tail.seq + 1,
+        ...entry,
+        prevHash: tail.line ? this.linkHash(tail.line) : null
+      };
+      entry.hash = this.hashEntry(entry);
+
+      fs.appendFileSync(this.logPath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+      if (this.anchor) {
+        this.anchor.set({ seq: entry.seq, hash: entry.hash });
+      }
+    } catch (err) {
+      logger.error('Failed to write audit log', { error: err.message, action });
+    }
+
+    logger.info(`[AUDIT] ${action} by ${actor}: ${outcome}`, target ? { target } : {});
+    return entry;
+  }
+
+  /**
+   * Record an attempt refused by the blocklist
+   * @param {string} actor - Who tried (actorOf) or the component that refused it
+   * @param {Object} block - Entry from database.findBlock
+   * @param {string} via - Where it was refused ('link', 'verify', 'checkwallet', 'worker')
+   */
+  recordBlocked(actor, block, via) {
+    return this.record({
+      actor,
+      action: 'blocklist.blocked',
+      target: block.value,
+      params: { type: block.type, via, reason: block.reason },
+      outcome: 'failure',
+      error: 'Blocked'
+    });
+  }
+
+  /**
+   * Read every entry (oldest first)
+   */
+  readAll() {
+    if (!fs.existsSync(this.logPath)) return [];
+
+    return fs.readFileSync(this.logPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Check the hash chain and the anchored head
+   * @returns {{valid: boolean, entries: number, legacy: number, anchored: boolean, brokenAt?: number, reason?: string}}
+   *   brokenAt is the 1-based line number of the first entry that does not verify
+   */
+  verify() {
+    const head = this.anchor?.get() || null;
+    const result = { valid: true, entries: 0, legacy: 0, anchored: !!head };
+    const lines = fs.existsSync(this.logPath)
+      ? fs.readFileSync(this.logPath, 'utf8').split('\n').filter(line => line.trim())
+      : [];
+    let headFound = false;
+    let previous = null;
+    let chained = false;
+
+    for (let i = 0; i < lines.length; i++) {
+      const fail = reason => ({ ...result, valid: false, brokenAt: i + 1, reason });
+
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (error) {
+        return fail('Line is not valid JSON');
+      }
+
+      if (!entry.hash) {
+        // Entries from before chaining are only allowed at the start of the log
+        if (chained) return fail('Entry has no hash');
+        result.legacy++;
+        previous = lines[i];
+        continue;
+      }
+      chained = true;
+
+      const { hash, ...rest } = entry;
+      if (this.hashEntry(rest) !== hash) {
+        return fail('Entry was modified');
+      }
+      const expectedPrev = previous === null ? null : this.linkHash(previous);
+      if (entry.prevHash !== expectedPrev) {
+        return fail('Chain link does not match the previous entry (removed or reordered lines)');
+      }
+
+      if (head && entry.seq === head.seq) {
+        if (hash !== head.hash) {
+          return fail('Entry does not match the anchored chain head (log was rewritten)');
+        }
+        headFound = true;
+      }
+
+      result.entries++;
+      previous = lines[i];
+    }
+
+    if (head && !headFound) {
+      return { ...result, valid: false, brokenAt: lines.length + 1, reason: `Entry #${head.seq} is missing (lines were removed from the end)` };
+    }
+
+    return result;
+  }
+
+  /**
+   * Search entries, newest first
+   * @param {Object} filters
+   * @param {string} filters.actor - Substring of the actor (tag or Discord ID)
+   * @param {string} filters.action - Action name or prefix (e.g. "backup" matches "backup.restore")
+   * @param {Date} filters.since - Only entries at or after this time
+   * @param {Date} filters.until - Only entries before this time
+   * @param {number} filters.limit - Maximum entries to return
+   * @returns {{entries: Array, total: number}} - total is the number of matches before the limit
+   */
+  search({ actor = null, action = null, since = null, until = null, limit = 25 } = {}) {
+    const actorQuery = actor?.toLowerCase();
+    const matches = this.readAll().filter(entry => {
+      if (actorQuery && !String(entry.actor || '').toLowerCase().includes(actorQuery)) return false;
+      if (action && entry.action !== action && !String(entry.action || '').startsWith(`${action}.`)) return false;
+
+      const time = new Date(entry.timestamp).getTime();
+      if (since && time < since.getTime()) return false;
+      if (until && time >= until.getTime()) return false;
+      return true;
+    });
+
+    return { entries: matches.reverse().slice(0, limit), total: matches.length };
+  }
+
+  /**
+   * Distinct action names in the log (for autocomplete)
+   */
+  getActions() {
+    return [...new Set(this.readAll().map(entry => entry.action).filter(Boolean))].sort();
+  }
+}
+
+module.exports = new AuditLog();
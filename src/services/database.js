@@ -2,14 +2,116 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const security = require('../utils/security');
+const applications = require('../applications');
+const { VERIFICATION_STATUS } = require('../config/constants');
+const { createStore, JsonStore } = require('./storage');
+const migrations = require('./migrations');
+const keyRotation = require('./keyRotation');
+const auditLog = require('./auditLog');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+// users-<timestamp>.json (labelled backups have a suffix and are kept)
+const PERIODIC_BACKUP = /^users-[\dTZ-]+\.json$/;
+
+// Trim the verification event log after this many new events
+const EVENTS_TRIM_INTERVAL = 100;
 
 class Database {
   constructor() {
     this.dbPath = config.database.path;
+    this.eventsPath = config.logging.verificationEventsPath;
+    this.eventsSinceTrim = 0;
+    // Free-text logs written before the event log (only kept encrypted, no longer written)
     this.failedLogPath = config.logging.failedLogPath;
     this.successLogPath = config.logging.successLogPath;
     this.auditLogPath = config.logging.auditLogPath;
-    this.data = {};
+    this._store = null;
+    this.cipher = null;
+    this.pendingLogLines = []; // Log lines written while security is locked
+    this.eventCache = null; // Parsed verification events, decrypted once (see readVerificationEvents)
+
+    // Encrypted data can only be opened once the master password is entered (see index.js)
+    if (config.isEncryptionEnabled()) {
+      logger.info('Database is encrypted - waiting for unlock');
+    } else {
+      this.open();
+    }
+
+    // Last chance to persist pending changes (flush is synchronous, so it is safe in 'exit')
+    process.on('exit', () => this.flush());
+  }
+
+  get store() {
+    if (!this._store) {
+      throw new Error('Database is locked - unlock with the master password first');
+    }
+    return this._store;
+  }
+
+  isOpen() {
+    return this._store !== null;
+  }
+
+  /**
+   * Whether the database is encrypted and security is currently locked
+   * While locked, changes stay in memory and are written on unlock.
+   */
+  isLocked() {
+    return !!this.cipher?.isLocked();
+  }
+
+  /**
+   * Throw if an operation that needs the master key is attempted while locked
+   * @param {string} operation - What was attempted (for the error message)
+   */
+  requireUnlocked(operation) {
+    if (this.isLocked()) {
+      throw Object.assign(
+        new Error(`Security is locked - ${operation} needs the master key. Unlock with /admin security unlock or the console.`),
+        { code: 'LOCKED' }
+      );
+    }
+  }
+
+  /**
+   * Changes held in memory because security is locked
+   * @returns {{database: boolean, logLines: number}|null} - null when nothing is queued
+   */
+  getQueuedChanges() {
+    if (!this._store || !this.isLocked()) return null;
+
+    const queued = { database: this.store.hasPendingWrites(), logLines: this.pendingLogLines.length };
+    return queued.database || queued.logLines > 0 ? queued : null;
+  }
+
+  /**
+   * Write everything that queued up while security was locked
+   */
+  onUnlock() {
+    if (!this._store) return;
+
+    const queued = this.pendingLogLines;
+    this.pendingLogLines = [];
+    for (const { filePath, entry } of queued) {
+      this.appendToLog(filePath, entry);
+    }
+
+    const pending = this.store.hasPendingWrites();
+    this.flush();
+    if (pending || queued.length > 0) {
+      logger.info('Wrote changes queued while locked', { logLines: queued.length, database: pending });
+    }
+  }
+
+  /**
+   * Open the database
+   * @param {Object} cipher - At-rest cipher (SecurityService.createCipher) when encryption is enabled
+   */
+  open(cipher = null) {
+    this.cipher = cipher;
+    this.eventCache = null;
+    this._store = createStore(config.database, cipher);
     this.init();
   }
 
@@ -21,7 +123,7 @@ class Database {
     }
 
     // Ensure logs directory exists
-    const logsDir = path.dirname(this.failedLogPath);
+    const logsDir = path.dirname(this.eventsPath);
     if (!fs.existsSync(logsDir)) {
       fs.mkdirSync(logsDir, { recursive: true });
     }
@@ -32,41 +134,152 @@ class Database {
       fs.mkdirSync(backupsDir, { recursive: true });
     }
 
+    // A key rotation that crashed half way is finished or undone before anything is read
+    keyRotation.recover();
+
     // Load main database
-    if (fs.existsSync(this.dbPath)) {
-      try {
-        const rawData = fs.readFileSync(this.dbPath, 'utf8');
-        this.data = JSON.parse(rawData);
-        logger.info(`Database loaded: ${Object.keys(this.data).length} users`);
-      } catch (error) {
-        logger.error('Failed to load database', { error: error.message });
-        this.data = {};
+    try {
+      this.store.load();
+      logger.info(`Database loaded (${this.store.name}): ${this.store.count()} users`);
+    } catch (error) {
+      // Only a corrupt JSON file is recovered - a wrong key must never replace the data
+      if (this.store.name !== 'json' || ['ENCRYPTED', 'DECRYPT_FAILED'].includes(error.code)) {
+        throw error;
       }
-    } else {
-      this.save();
-      logger.info('New database created');
+      logger.error('Failed to load database', { error: error.message });
+      this.recoverFromBackup();
+    }
+
+    if (this.cipher) {
+      this.encryptPlaintextFiles();
     }
 
+    // Bring older records up to the current schema (backs up first)
+    this.migrationReport = migrations.run(this.store, { backup: label => this.backup(label) });
+    if (this.migrationReport.migrations.length > 0) {
+      logger.info(migrations.formatReport(this.migrationReport));
+    }
+
+    // Anchor the audit log chain head in the (encrypted) metadata
+    auditLog.setAnchor({
+      get: () => this.store.getMeta('auditHead') || null,
+      set: head => this.store.setMeta('auditHead', head)
+    });
+
     // Start backup schedule
     if (config.database.backupEnabled) {
       this.startBackupSchedule();
     }
   }
 
-  save() {
+  /**
+   * Restore the newest backup that parses after the primary file failed to load
+   * The corrupt file is kept next to the database for manual inspection.
+   */
+  recoverFromBackup() {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const corruptPath = `${this.store.path}.corrupt-${timestamp}`;
+
+    try {
+      fs.copyFileSync(this.store.path, corruptPath);
+      logger.warn('Corrupt database preserved', { path: corruptPath });
+    } catch (error) {
+      logger.error('Failed to preserve corrupt database', { error: error.message });
+    }
+
+    for (const backup of this.listBackups()) {
+      try {
+        const { users, meta } = JsonStore.readFile(backup.path, this.cipher);
+        this.store.replaceAll(users, meta);
+        logger.warn(`Database recovered from backup: ${backup.name} (${Object.keys(users).length} users)`);
+        return true;
+      } catch (error) {
+        logger.warn('Skipping unreadable backup', { file: backup.name, error: error.message });
+      }
+    }
+
+    logger.error('No valid backup found - starting with an empty database', { corruptFile: corruptPath });
+    this.store.replaceAll({});
+    return false;
+  }
+
+  /**
+   * Encrypt files written before encryption was enabled (database, logs, backups)
+   */
+  encryptPlaintextFiles() {
+    if (this.store.migratedPlaintext) {
+      logger.info('Database file encrypted at rest');
+    }
+
+    for (const logPath of [this.eventsPath, this.failedLogPath, this.successLogPath]) {
+      try {
+        if (!fs.existsSync(logPath)) continue;
+
+        const lines = fs.readFileSync(logPath, 'utf8').split('\n').filter(line => line.trim());
+        const plaintext = lines.filter(line => !this.cipher.isEncrypted(line)).length;
+        if (plaintext === 0) continue;
+
+        const encrypted = lines.map(line => this.cipher.isEncrypted(line) ? line : this.cipher.encrypt(line));
+        writeFileAtomic(logPath, encrypted.join('\n') + '\n');
+        logger.info(`Encrypted ${plaintext} log entries`, { file: logPath });
+      } catch (error) {
+        logger.error('Failed to encrypt log file', { file: logPath, error: error.message });
+      }
+    }
+
+    let backups = 0;
+    for (const backup of this.listBackups()) {
+      try {
+        const { users, meta, encrypted } = JsonStore.readFile(backup.path, this.cipher);
+        if (encrypted) continue;
+
+        JsonStore.writeFile(backup.path, users, meta, this.cipher);
+        fs.utimesSync(backup.path, new Date(), new Date(backup.time)); // keep backup order
+        backups++;
+      } catch (error) {
+        logger.warn('Could not encrypt backup', { file: backup.name, error: error.message });
+      }
+    }
+    if (backups > 0) {
+      logger.info(`Encrypted ${backups} backup(s)`);
+    }
+  }
+
+  /**
+   * Write pending changes to disk immediately (called on shutdown)
+   */
+  flush() {
+    if (!this._store) return;
+
+    if (this.isLocked()) {
+      const queued = this.getQueuedChanges();
+      if (queued) {
+        logger.warn('Security is locked - changes are kept in memory until unlocked', queued);
+      }
+      return;
+    }
+
     try {
-      fs.writeFileSync(this.dbPath, JSON.stringify(this.data, null, 2));
+      this.store.flush();
     } catch (error) {
       logger.error('Failed to save database', { error: error.message });
     }
   }
 
   /**
-   * Format timestamp for logs
+   * Apply a change to a stored user and persist it
+   * @param {string} walletAddress - Wallet address (any case)
+   * @param {Function} mutator - Receives the user object; its return value is returned
+   * @returns {*} - Mutator result, or undefined if the user does not exist
    */
-  formatTimestamp() {
-    const now = new Date();
-    return now.toISOString().replace('T', ' ').substring(0, 19);
+  updateUser(walletAddress, mutator) {
+    const normalized = walletAddress.toLowerCase();
+    const user = this.store.get(normalized);
+    if (!user) return undefined;
+
+    const result = mutator(user);
+    this.store.set(normalized, user);
+    return result;
   }
 
   /**
@@ -78,7 +291,13 @@ class Database {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
-      fs.appendFileSync(filePath, entry + '\n');
+      if (this.isLocked()) {
+        this.pendingLogLines.push({ filePath, entry });
+        return;
+      }
+      // Each line is encrypted on its own so the log can still be appended and trimmed
+      const line = this.cipher ? this.cipher.encrypt(entry) : entry;
+      fs.appendFileSync(filePath, line + '\n');
     } catch (error) {
       logger.error('Failed to append to log', { error: error.message, path: filePath });
     }
@@ -94,13 +313,28 @@ class Database {
       }
       const content = fs.readFileSync(filePath, 'utf8');
       const lines = content.split('\n').filter(line => line.trim());
-      return lines.slice(-limit).reverse();
+      return lines.slice(-limit).reverse().map(line => this.decryptLogLine(line));
     } catch (error) {
       logger.error('Failed to read log', { error: error.message, path: filePath });
       return [];
     }
   }
 
+  /**
+   * Decrypt a log line (plaintext lines are returned as-is)
+   */
+  decryptLogLine(line) {
+    if (!security.isEncryptedData(line)) return line;
+    if (!this.cipher) return '🔒 [encrypted entry]';
+    if (this.isLocked()) return '🔒 [locked]';
+
+    try {
+      return this.cipher.decrypt(line);
+    } catch (error) {
+      return '⚠️ [unreadable entry]';
+    }
+  }
+
   /**
    * Trim log file to keep only recent entries
    */
@@ -112,8 +346,8 @@ class Database {
       const lines = content.split('\n').filter(line => line.trim());
 
       if (lines.length > maxEntries) {
-        const trimmed = lines.slice(-maxEntries).join('\n');
-        fs.writeFileSync(filePath, trimmed + '\n');
+        // A crash mid-write must not truncate the whole history
+        writeFileAtomic(filePath, lines.slice(-maxEntries).join('\n') + '\n');
       }
     } catch (error) {
       logger.error('Failed to trim log', { error: error.message, path: filePath });
@@ -121,74 +355,250 @@ class Database {
   }
 
   /**
-   * Record failed verification with simple one-line format
-   * Format: [TIMESTAMP] FAILED | Discord: username (id) | Wallet: 0x...  | Contract: Name | Reason: ... 
+   * Record one verification attempt as a structured event (one JSON object per line)
+   * @param {Object} data
+   * @param {string} data.outcome - 'success' or 'failure'
+   * @param {string} data.source - What triggered the check ('command', 'worker' or 'admin')
+   * @param {string} data.discordId
+   * @param {string} data.discordUsername
+   * @param {string} data.walletAddress - Full address (stored lowercase)
+   * @param {string} data.contractId - Application key or legacy contract ID
+   * @param {string} data.contractName - Display name
+   * @param {string} data.reasonCode - Machine readable reason (failures)
+   * @param {string} data.reason - Human readable reason (failures)
+   * @param {Object} data.metrics - Numbers reported by the check (participation, wins, ...)
+   * @param {boolean} data.roleAssigned - Whether the role was newly assigned (successes)
+   * @param {string} data.override - Moderator override that decided the outcome ('grant' or 'deny')
+   * @param {string[]} data.addresses - Every address checked, when the member has several
    */
-  recordFailedVerification(data) {
+  recordVerificationEvent(data) {
     const {
+      outcome,
+      source = null,
       discordId,
       discordUsername,
       walletAddress,
       contractId,
       contractName,
-      txnCount = 0,
-      reason,
+      reasonCode = null,
+      reason = null,
+      metrics = {},
+      roleAssigned = null,
+      override = null,
+      addresses = null
     } = data;
 
-    const timestamp = this.formatTimestamp();
-    const wallet = walletAddress ? `${walletAddress.substring(0, 6)}...${walletAddress.slice(-3)}` : 'N/A';
+    const event = {
+      timestamp: new Date().toISOString(),
+      outcome,
+      source,
+      discordId: discordId || null,
+      discordUsername: discordUsername || null,
+      wallet: walletAddress ? walletAddress.toLowerCase() : null,
+      application: contractId || null,
+      applicationName: contractName || contractId || null,
+      reasonCode,
+      reason,
+      metrics,
+      ...(roleAssigned !== null ? { roleAssigned } : {}),
+      ...(override ? { override } : {}),
+      ...(addresses?.length > 1 ? { addresses } : {})
+    };
 
-    const logEntry = `[${timestamp}] FAILED | Discord: ${discordUsername || 'Unknown'} (${discordId}) | Wallet: ${wallet} | Contract: ${contractName || contractId} | Reason: ${reason}`;
+    this.appendToLog(this.eventsPath, JSON.stringify(event));
+    this.eventCache?.push(event);
+    if (++this.eventsSinceTrim >= EVENTS_TRIM_INTERVAL) {
+      this.eventsSinceTrim = 0;
+      this.trimLogFile(this.eventsPath);
+      if (this.eventCache) {
+        this.eventCache = this.eventCache.slice(-config.logging.maxLogEntries);
+      }
+    }
 
-    this.appendToLog(this.failedLogPath, logEntry);
-    this.trimLogFile(this.failedLogPath);
+    const { timestamp, wallet, ...details } = event;
+    this.store.appendEvent({
+      type: outcome === 'success' ? 'verification_succeeded' : 'verification_failed',
+      wallet,
+      ...details
+    });
+    return event;
   }
 
   /**
-   * Record successful verification with simple one-line format
-   * Format: [TIMESTAMP] SUCCESS | Discord: username (id) | Wallet: 0x...  | Contract: Name | Txns: N | Role Assigned: ✅
+   * Record a failed verification attempt (see recordVerificationEvent)
+   */
+  recordFailedVerification(data) {
+    return this.recordVerificationEvent({ ...data, outcome: 'failure', roleAssigned: null });
+  }
+
+  /**
+   * Record a successful verification attempt (see recordVerificationEvent)
    */
   recordSuccessfulVerification(data) {
-    const {
-      discordId,
-      discordUsername,
-      walletAddress,
-      contractId,
-      contractName,
-      txnCount = 0,
-      roleAssigned = true,
-    } = data;
+    const { roleAssigned = true, ...rest } = data;
+    return this.recordVerificationEvent({ ...rest, outcome: 'success', roleAssigned, reasonCode: null, reason: null });
+  }
 
-    const timestamp = this.formatTimestamp();
-    const wallet = walletAddress ? `${walletAddress.substring(0, 6)}...${walletAddress.slice(-3)}` : 'N/A';
+  /**
+   * Read every verification event (oldest first)
+   * The file is decrypted and parsed once; after that new events are added to the
+   * in-memory copy as they are recorded, so queries don't reread the log.
+   * Events recorded while security is locked are included from the write queue.
+   */
+  readVerificationEvents() {
+    if (this.eventCache) {
+      return this.eventCache.slice();
+    }
 
-    const logEntry = `[${timestamp}] SUCCESS | Discord: ${discordUsername || 'Unknown'} (${discordId}) | Wallet: ${wallet} | Contract: ${contractName || contractId} | Txns: ${txnCount} | Role Assigned: ${roleAssigned ? '✅' : '❌'}`;
+    const lines = [];
+    let complete = !this.isLocked(); // Locked entries can't be decrypted - don't keep a partial copy
+    try {
+      if (fs.existsSync(this.eventsPath)) {
+        const content = fs.readFileSync(this.eventsPath, 'utf8');
+        lines.push(...content.split('\n').filter(line => line.trim()).map(line => this.decryptLogLine(line)));
+      }
+    } catch (error) {
+      complete = false;
+      logger.error('Failed to read verification events', { error: error.message, path: this.eventsPath });
+    }
 
-    this.appendToLog(this.successLogPath, logEntry);
-    this.trimLogFile(this.successLogPath);
+    for (const { filePath, entry } of this.pendingLogLines) {
+      if (filePath === this.eventsPath) lines.push(entry);
+    }
+
+    const events = lines
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null; // Locked or unreadable entry
+        }
+      })
+      .filter(Boolean);
+
+    if (complete) {
+      this.eventCache = events;
+    }
+    return events.slice();
   }
 
   /**
-   * Get failed verifications (parsed from log file)
+   * Search verification events, newest first
+   * @param {Object} filters
+   * @param {string} filters.discordId - Only this Discord user
+   * @param {string} filters.wallet - Only this wallet
+   * @param {string} filters.application - Application key (or legacy contract ID)
+   * @param {string} filters.outcome - 'success' or 'failure'
+   * @param {string} filters.reason - Reason code, or text contained in the reason
+   * @param {string} filters.source - 'command', 'worker' or 'admin'
+   * @param {Date} filters.since - Only events at or after this time
+   * @param {Date} filters.until - Only events before this time
+   * @param {number} filters.limit - Maximum events to return
+   * @returns {{events: Array, total: number}} - total is the number of matches before the limit
+   */
+  queryVerificationEvents({
+    discordId = null,
+    wallet = null,
+    application = null,
+    outcome = null,
+    reason = null,
+    source = null,
+    since = null,
+    until = null,
+    limit = 50
+  } = {}) {
+    const walletQuery = wallet?.toLowerCase();
+    const reasonQuery = reason?.toLowerCase();
+
+    const matches = this.readVerificationEvents().filter(event => {
+      if (discordId && event.discordId !== discordId) return false;
+      if (walletQuery && event.wallet !== walletQuery && !event.addresses?.includes(walletQuery)) return false;
+      if (application && event.application !== application) return false;
+      if (outcome && event.outcome !== outcome) return false;
+      if (source && event.source !== source) return false;
+      if (reasonQuery && event.reasonCode?.toLowerCase() !== reasonQuery &&
+        !String(event.reason || '').toLowerCase().includes(reasonQuery)) return false;
+
+      const time = new Date(event.timestamp).getTime();
+      if (since && time < since.getTime()) return false;
+      if (until && time >= until.getTime()) return false;
+      return true;
+    });
+
+    return { events: matches.reverse().slice(0, limit), total: matches.length };
+  }
+
+  /**
+   * Count failed verifications per reason code and application
+   * @param {Object} filters - Same filters as queryVerificationEvents (outcome and limit are ignored)
+   * @returns {{total: number, byReason: Object}} - byReason: { CODE: { total, applications: { name: count } } },
+   *   events recorded without a code are counted as UNCLASSIFIED
+   */
+  getFailureBreakdown(filters = {}) {
+    const { events, total } = this.queryVerificationEvents({ ...filters, outcome: 'failure', limit: Infinity });
+    const byReason = {};
+
+    for (const event of events) {
+      const code = event.reasonCode || 'UNCLASSIFIED';
+      const application = event.applicationName || event.application || 'Unknown';
+      const reason = byReason[code] || (byReason[code] = { total: 0, applications: {} });
+      reason.total++;
+      reason.applications[application] = (reason.applications[application] || 0) + 1;
+    }
+
+    return { total, byReason };
+  }
+
+  /**
+   * Render an event as a one-line log entry
+   * Format: [TIMESTAMP] FAILED | Discord: username (id) | Wallet: 0x1234...abc | Contract: Name | Reason: ... [CODE]
+   *         [TIMESTAMP] SUCCESS | Discord: username (id) | Wallet: 0x1234...abc | Contract: Name | participation: 3 | Role Assigned: ✅
+   */
+  formatVerificationEvent(event) {
+    const timestamp = event.timestamp.replace('T', ' ').substring(0, 19);
+    const wallet = event.wallet ? `${event.wallet.substring(0, 6)}...${event.wallet.slice(-3)}` : 'N/A';
+    const prefix = `[${timestamp}] ${event.outcome === 'success' ? 'SUCCESS' : 'FAILED'} | Discord: ${event.discordUsername || 'Unknown'} (${event.discordId}) | Wallet: ${wallet} | Contract: ${event.applicationName || event.application}`;
+
+    if (event.outcome === 'success') {
+      const metrics = Object.entries(event.metrics || {}).map(([name, value]) => `${name}: ${value}`).join(', ');
+      return `${prefix}${metrics ? ` | ${metrics}` : ''} | Role Assigned: ${event.roleAssigned ? '✅' : '❌'}`;
+    }
+    return `${prefix} | Reason: ${event.reason}${event.reasonCode ? ` [${event.reasonCode}]` : ''}`;
+  }
+
+  /**
+   * Get failed verifications (rendered from the event log, newest first)
    */
   getFailedVerifications(limit = 50) {
-    return this.readLogLines(this.failedLogPath, limit);
+    return this.queryVerificationEvents({ outcome: 'failure', limit }).events.map(event => this.formatVerificationEvent(event));
   }
 
   /**
-   * Get successful verifications (parsed from log file)
+   * Get successful verifications (rendered from the event log, newest first)
    */
   getSuccessfulVerifications(limit = 50) {
-    return this.readLogLines(this.successLogPath, limit);
+    return this.queryVerificationEvents({ outcome: 'success', limit }).events.map(event => this.formatVerificationEvent(event));
   }
 
   startBackupSchedule() {
     const intervalMs = config.database.backupInterval * 60 * 60 * 1000; // hours to ms
-    setInterval(() => this.backup(), intervalMs);
+    // Don't keep one-shot scripts (e.g. npm run db:migrate) alive
+    setInterval(() => this.backup(), intervalMs).unref();
     logger.info(`Database backup scheduled every ${config.database.backupInterval} hour(s)`);
   }
 
-  backup() {
+  /**
+   * Write a backup snapshot
+   * Labelled backups (e.g. before a migration) are never rotated out.
+   * @param {string} label - Optional label appended to the file name
+   * @returns {string|null} - Backup path, or null if the backup failed
+   */
+  backup(label = null) {
+    if (this.isLocked()) {
+      logger.warn('Backup skipped - security is locked', { label });
+      return null;
+    }
+
     try {
       const backupsDir = path.join(path.dirname(this.dbPath), 'backups');
       if (!fs.existsSync(backupsDir)) {
@@ -196,28 +606,101 @@ class Database {
       }
 
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupPath = path.join(backupsDir, `users-${timestamp}.json`);
+      const backupPath = path.join(backupsDir, `users-${timestamp}${label ? `-${label}` : ''}.json`);
 
-      fs.copyFileSync(this.dbPath, backupPath);
+      // Snapshot through the store so backups look the same for every backend
+      JsonStore.writeFile(backupPath, this.store.all(), this.store.allMeta(), this.cipher);
       logger.info('Database backup created', { path: backupPath });
 
       // Clean old backups (keep last 24)
       this.cleanOldBackups(backupsDir, 24);
+      return backupPath;
     } catch (error) {
       logger.error('Failed to create backup', { error: error.message });
+      return null;
     }
   }
 
+  /**
+   * List database backups, newest first
+   */
+  listBackups() {
+    const backupsDir = path.join(path.dirname(this.dbPath), 'backups');
+    if (!fs.existsSync(backupsDir)) return [];
+
+    return fs.readdirSync(backupsDir)
+      .filter(f => f.startsWith('users-') && f.endsWith('.json'))
+      .map(f => ({
+        name: f,
+        path: path.join(backupsDir, f),
+        time: fs.statSync(path.join(backupsDir, f)).mtime.getTime()
+      }))
+      .sort((a, b) => b.time - a.time);
+  }
+
+  /**
+   * Inspect a backup: size and user count (valid: false if it cannot be parsed)
+   * @param {Object} backup - Entry from listBackups()
+   */
+  getBackupInfo(backup) {
+    const info = {
+      ...backup,
+      size: fs.statSync(backup.path).size,
+      periodic: PERIODIC_BACKUP.test(backup.name)
+    };
+
+    try {
+      const { users, meta, encrypted } = JsonStore.readFile(backup.path, this.cipher);
+      return { ...info, valid: true, encrypted, userCount: Object.keys(users).length, schemaVersion: meta.schemaVersion ?? 0 };
+    } catch (error) {
+      return { ...info, valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Replace the database with a backup snapshot
+   * The current data is backed up first; older snapshots are migrated to the current schema.
+   * @param {string} name - Backup file name (from listBackups)
+   * @returns {{success: boolean, error?: string, userCount?: number, backupPath?: string}}
+   */
+  restoreBackup(name) {
+    if (this.isLocked()) {
+      return { success: false, error: 'Security is locked - unlock before restoring a backup' };
+    }
+
+    const backup = this.listBackups().find(b => b.name === name);
+    if (!backup) {
+      return { success: false, error: `Backup not found: ${name}` };
+    }
+
+    let snapshot;
+    try {
+      snapshot = JsonStore.readFile(backup.path, this.cipher);
+      for (const [wallet, user] of Object.entries(snapshot.users)) {
+        if (!user || typeof user !== 'object' || !user.discordId) {
+          throw new Error(`Invalid user record for ${wallet}`);
+        }
+      }
+    } catch (error) {
+      return { success: false, error: `Backup is not valid: ${error.message}` };
+    }
+
+    const backupPath = this.backup('pre-restore');
+    if (!backupPath) {
+      return { success: false, error: 'Could not back up the current database - restore aborted' };
+    }
+
+    this.store.replaceAll(snapshot.users, snapshot.meta);
+    const migrationReport = migrations.run(this.store);
+    this.flush();
+
+    logger.warn(`Database restored from backup: ${name}`, { users: this.store.count(), previous: backupPath });
+    return { success: true, userCount: this.store.count(), backupPath, migrationReport };
+  }
+
   cleanOldBackups(backupsDir, keepCount) {
     try {
-      const files = fs.readdirSync(backupsDir)
-        .filter(f => f.startsWith('users-') && f.endsWith('.json'))
-        .map(f => ({
-          name: f,
-          path: path.join(backupsDir, f),
-          time: fs.statSync(path.join(backupsDir, f)).mtime.getTime()
-        }))
-        .sort((a, b) => b.time - a.time);
+      const files = this.listBackups().filter(f => PERIODIC_BACKUP.test(f.name));
 
       // Remove old backups
       files.slice(keepCount).forEach(f => {
@@ -229,80 +712,435 @@ class Database {
     }
   }
 
-  // Link wallet to Discord user with full user info
-  linkWallet(discordId, walletAddress, discordUsername = null, discordTag = null) {
+  // Check whether a wallet can be linked to a Discord user
+  canLinkWallet(discordId, walletAddress) {
     const normalized = walletAddress.toLowerCase();
 
+    const blocked = this.findBlock({ discordId, wallet: normalized });
+    if (blocked) {
+      return {
+        success: false,
+        error: blocked.type === 'address' ? 'This address is blocked from verification' : 'Your account is blocked from verification',
+        blocked
+      };
+    }
+
     // Check if wallet already linked to another user
-    for (const [wallet, data] of Object.entries(this.data)) {
-      if (wallet === normalized && data.discordId !== discordId) {
-        return { success: false, error: 'Wallet already linked to another user' };
-      }
+    const existingUser = this.store.get(normalized);
+    if (existingUser && existingUser.discordId !== discordId) {
+      return { success: false, error: 'Wallet already linked to another user' };
+    }
+
+    if (existingUser) {
+      return { success: false, error: 'That address is already linked to your account' };
+    }
+
+    // Check how many addresses the user already has
+    const wallets = this.getWalletsByDiscordId(discordId);
+    if (wallets.length >= config.link.maxAddresses) {
+      return {
+        success: false,
+        error: config.link.maxAddresses === 1
+          ? 'You already have a wallet linked'
+          : `You already have ${wallets.length} addresses linked (maximum ${config.link.maxAddresses})`,
+        wallet: wallets[0]
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Blocked addresses and Discord IDs (stored in the database metadata, so they are
+   * encrypted, backed up and restored with the users)
+   * @returns {{addresses: Object, discordIds: Object}} - Entries keyed by lowercase address / Discord ID
+   */
+  getBlocklist() {
+    const blocklist = this.store.getMeta('blocklist') || {};
+    return { addresses: blocklist.addresses || {}, discordIds: blocklist.discordIds || {} };
+  }
+
+  /**
+   * Block an address or Discord ID (replaces an existing entry)
+   * @param {string} type - 'address' or 'discord'
+   * @param {string} value - Address or Discord ID
+   * @param {Object} entry - { reason, actor }
+   */
+  addBlock(type, value, { reason, actor }) {
+    const blocklist = this.getBlocklist();
+    const list = type === 'address' ? blocklist.addresses : blocklist.discordIds;
+    const key = type === 'address' ? value.toLowerCase() : value;
+
+    list[key] = { reason, actor, addedAt: new Date().toISOString() };
+    this.store.setMeta('blocklist', blocklist);
+    logger.info('Blocklist entry added', { type, value: key, reason });
+    return { type, value: key, ...list[key] };
+  }
+
+  /**
+   * Remove a blocklist entry
+   * @returns {Object|null} - Removed entry, or null if it was not blocked
+   */
+  removeBlock(type, value) {
+    const blocklist = this.getBlocklist();
+    const list = type === 'address' ? blocklist.addresses : blocklist.discordIds;
+    const key = type === 'address' ? value.toLowerCase() : value;
+    const removed = list[key];
+    if (!removed) return null;
+
+    delete list[key];
+    this.store.setMeta('blocklist', blocklist);
+    logger.info('Blocklist entry removed', { type, value: key });
+    return { type, value: key, ...removed };
+  }
+
+  /**
+   * Find the blocklist entry that applies to a Discord ID and/or address
+   * @returns {Object|null} - { type, value, reason, actor, addedAt }
+   */
+  findBlock({ discordId = null, wallet = null }) {
+    const { addresses, discordIds } = this.getBlocklist();
+    const address = wallet?.toLowerCase();
+
+    if (address && addresses[address]) {
+      return { type: 'address', value: address, ...addresses[address] };
+    }
+    if (discordId && discordIds[discordId]) {
+      return { type: 'discord', value: discordId, ...discordIds[discordId] };
+    }
+    return null;
+  }
+
+  /**
+   * Find the blocklist entry that applies to a Discord user or any address they linked
+   */
+  findMemberBlock(discordId) {
+    for (const wallet of this.getWalletsByDiscordId(discordId)) {
+      const blocked = this.findBlock({ wallet });
+      if (blocked) return blocked;
     }
+    return this.findBlock({ discordId });
+  }
 
-    // Check if user already has a wallet
-    const existingWallet = this.getWalletByDiscordId(discordId);
-    if (existingWallet) {
-      return { success: false, error: 'You already have a wallet linked', wallet: existingWallet };
+  // Link wallet to Discord user with full user info
+  // The first address holds the member's state (roles, overrides, address history);
+  // further addresses are linked as additional records (primary: false)
+  linkWallet(discordId, walletAddress, discordUsername = null, discordTag = null, ownershipVerified = false) {
+    const normalized = walletAddress.toLowerCase();
+
+    const linkable = this.canLinkWallet(discordId, normalized);
+    if (!linkable.success) {
+      return linkable;
     }
 
-    this.data[normalized] = {
+    const primaryWallet = this.getWalletByDiscordId(discordId);
+    const details = { discordId, discordUsername, discordTag, ownershipVerified };
+
+    if (primaryWallet) {
+      const record = this.newUserRecord(normalized, details);
+      this.store.set(normalized, record);
+      this.updateUser(primaryWallet, primary => {
+        primary.addressHistory = [...(primary.addressHistory || []), this.historyEntry(normalized, record.linkedAt)];
+      });
+    } else {
+      // History, relink count and overrides from an earlier link carry over
+      this.store.set(normalized, this.newUserRecord(normalized, { ...details, member: this.takeUnlinkedMember(discordId) }));
+    }
+
+    logger.info('Wallet linked', { discordId, discordUsername, wallet: normalized, ownershipVerified, additional: !!primaryWallet });
+    return { success: true, additional: !!primaryWallet };
+  }
+
+  /**
+   * Fresh user record for a newly linked address
+   * @param {Object|null} member - Member fields (see memberFields) for a primary record,
+   *   null for an additional address
+   */
+  newUserRecord(wallet, { discordId, discordUsername = null, discordTag = null, ownershipVerified = false, member = null }) {
+    const now = new Date().toISOString();
+    const record = {
       discordId,
       discordUsername: discordUsername || null,
       discordTag: discordTag || null,
-      linkedAt: new Date().toISOString(),
+      linkedAt: now,
+      ownershipVerifiedAt: ownershipVerified ? now : null,
       lastCheckedAt: null,
+      nextCheckAt: null,
+      failureStreak: 0,
       attempts: 0,
       roles: [],
       verifications: {}
     };
 
-    this.save();
-    logger.info('Wallet linked', { discordId, discordUsername, wallet: normalized });
+    if (!member) {
+      return { ...record, primary: false };
+    }
+
+    return {
+      ...record,
+      ...member,
+      roles: member.roles || [],
+      relinkCount: member.relinkCount || 0,
+      lastRelinkAt: member.lastRelinkAt || null,
+      addressHistory: [...(member.addressHistory || []), this.historyEntry(wallet, now)]
+    };
+  }
+
+  historyEntry(wallet, linkedAt) {
+    return { wallet, linkedAt, unlinkedAt: null, unlinkedBy: null };
+  }
+
+  /**
+   * Member-level fields of a primary record (they follow the member, not the address),
+   * with `wallet` marked as unlinked in the address history
+   */
+  memberFields(user, wallet, unlinkedBy) {
+    const now = new Date().toISOString();
+    const history = (user.addressHistory || [{ wallet, linkedAt: user.linkedAt }]).map(entry =>
+      entry.wallet === wallet && !entry.unlinkedAt ? { ...entry, unlinkedAt: now, unlinkedBy } : entry
+    );
+    const selfService = unlinkedBy === 'self';
+
+    return {
+      addressHistory: history,
+      relinkCount: (user.relinkCount || 0) + (selfService ? 1 : 0),
+      lastRelinkAt: selfService ? now : (user.lastRelinkAt || null),
+      ...(user.overrides ? { overrides: user.overrides } : {}),
+      ...(user.roles?.length ? { roles: user.roles } : {}),
+      ...(user.revocations ? { revocations: user.revocations } : {}),
+      ...(user.pendingRevocations ? { pendingRevocations: user.pendingRevocations } : {})
+    };
+  }
+
+  /**
+   * Take the member fields kept when this Discord user unlinked (see unlinkWallet)
+   */
+  takeUnlinkedMember(discordId) {
+    const unlinked = this.store.getMeta('unlinkedMembers') || {};
+    const member = unlinked[discordId];
+    if (!member) return {};
+
+    delete unlinked[discordId];
+    this.store.setMeta('unlinkedMembers', unlinked);
+    return member;
+  }
+
+  /**
+   * Address history of a Discord user, linked or not
+   * @returns {{addressHistory: Array, relinkCount: number, lastRelinkAt: string|null}}
+   *   addressHistory is oldest first: { wallet, linkedAt, unlinkedAt, unlinkedBy }
+   */
+  getLinkHistory(discordId) {
+    const member = this.getUserByDiscordId(discordId) || (this.store.getMeta('unlinkedMembers') || {})[discordId] || {};
+    return {
+      addressHistory: member.addressHistory || [],
+      relinkCount: member.relinkCount || 0,
+      lastRelinkAt: member.lastRelinkAt || null
+    };
+  }
+
+  /**
+   * Whether a member may change their address themselves (/unlink, /relink)
+   * @returns {{success: boolean, error?: string, retryAt?: Date}}
+   */
+  canChangeLink(discordId) {
+    const userData = this.getUserByDiscordId(discordId);
+    if (!userData) {
+      return { success: false, error: 'You don\'t have an address linked' };
+    }
+
+    const { relinkCooldownHours, maxRelinks } = config.link;
+    if ((userData.relinkCount || 0) >= maxRelinks) {
+      return { success: false, error: `You have already changed your address ${maxRelinks} time(s) - ask a moderator to change it` };
+    }
+
+    if (userData.lastRelinkAt) {
+      const retryAt = new Date(new Date(userData.lastRelinkAt).getTime() + relinkCooldownHours * 60 * 60 * 1000);
+      if (retryAt.getTime() > Date.now()) {
+        return { success: false, error: 'You changed your address recently', retryAt };
+      }
+    }
+
     return { success: true };
   }
 
-  // Update user's Discord info
-  updateUserInfo(walletAddress, discordUsername, discordTag) {
+  /**
+   * Unlink one of a user's addresses, keeping their history
+   * Unlinking the primary address moves the member fields to the next address, or keeps
+   * them for the next /link when it was the last one.
+   * @param {string} walletAddress - Linked address
+   * @param {string} unlinkedBy - 'self' (counts towards the relink limit) or 'admin'
+   * @returns {boolean} - False if the address was not linked
+   */
+  unlinkWallet(walletAddress, unlinkedBy = 'self') {
     const normalized = walletAddress.toLowerCase();
-    if (this.data[normalized]) {
-      this.data[normalized].discordUsername = discordUsername;
-      this.data[normalized].discordTag = discordTag;
-      this.save();
-      return true;
+    const user = this.store.get(normalized);
+    if (!user) return false;
+
+    const { discordId } = user;
+    const primaryWallet = this.getWalletByDiscordId(discordId);
+
+    if (primaryWallet !== normalized) {
+      this.store.delete(normalized);
+      this.updateUser(primaryWallet, primary => {
+        Object.assign(primary, this.memberFields(primary, normalized, unlinkedBy));
+      });
+    } else {
+      const member = this.memberFields(user, normalized, unlinkedBy);
+      const [nextWallet] = this.getWalletsByDiscordId(discordId).filter(wallet => wallet !== normalized);
+      this.store.delete(normalized);
+
+      if (nextWallet) {
+        this.updateUser(nextWallet, next => {
+          delete next.primary;
+          Object.assign(next, member);
+        });
+      } else {
+        // Roles of the last address are revoked by the caller
+        const { roles, pendingRevocations, ...kept } = member;
+        const unlinked = this.store.getMeta('unlinkedMembers') || {};
+        unlinked[discordId] = kept;
+        this.store.setMeta('unlinkedMembers', unlinked);
+      }
     }
-    return false;
+
+    logger.info('Wallet unlinked', { discordId, wallet: normalized, unlinkedBy });
+    return true;
   }
 
-  // Get wallet by Discord ID
-  getWalletByDiscordId(discordId) {
-    for (const [wallet, data] of Object.entries(this.data)) {
-      if (data.discordId === discordId) {
-        return wallet;
+  /**
+   * Check whether a user could replace one of their addresses, without changing anything
+   * (used before a /relink ownership challenge is issued)
+   * @param {string} replace - Address to replace (optional when only one is linked)
+   * @returns {{success: boolean, error?: string, oldWallet?: string, blocked?: Object}}
+   */
+  canRelinkWallet(discordId, walletAddress, replace = null) {
+    const normalized = walletAddress.toLowerCase();
+    const wallets = this.getWalletsByDiscordId(discordId);
+    if (wallets.length === 0) {
+      return { success: false, error: 'You don\'t have an address linked - use /link' };
+    }
+    if (wallets.includes(normalized)) {
+      return { success: false, error: 'That address is already linked to your account' };
+    }
+
+    const oldWallet = replace ? replace.toLowerCase() : (wallets.length === 1 ? wallets[0] : null);
+    if (!oldWallet) {
+      return { success: false, error: 'You have several addresses linked - choose the one to replace' };
+    }
+    if (!wallets.includes(oldWallet)) {
+      return { success: false, error: 'That address is not linked to your account' };
+    }
+
+    const blocked = this.findBlock({ discordId, wallet: normalized });
+    if (blocked) {
+      return { success: false, error: blocked.type === 'address' ? 'This address is blocked from verification' : 'Your account is blocked from verification', blocked };
+    }
+    if (this.store.get(normalized)) {
+      return { success: false, error: 'Wallet already linked to another user' };
+    }
+
+    return { success: true, oldWallet };
+  }
+
+  /**
+   * Replace one of a user's addresses with a new one (self-service /relink)
+   * The new address starts unverified. When it replaces the user's only address, the
+   * caller revokes the old address's roles.
+   * @param {Object} options
+   * @param {string} options.replace - Address to replace (optional when only one is linked)
+   * @returns {{success: boolean, error?: string, oldWallet?: string, blocked?: Object}}
+   */
+  relinkWallet(discordId, walletAddress, { replace = null, discordUsername = null, discordTag = null, ownershipVerified = false } = {}) {
+    const normalized = walletAddress.toLowerCase();
+    const relinkable = this.canRelinkWallet(discordId, normalized, replace);
+    if (!relinkable.success) {
+      return relinkable;
+    }
+
+    const { oldWallet } = relinkable;
+    const wallets = this.getWalletsByDiscordId(discordId);
+    const old = this.store.get(oldWallet);
+    const primaryWallet = this.getWalletByDiscordId(discordId);
+    const details = {
+      discordId,
+      discordUsername: discordUsername || old.discordUsername,
+      discordTag: discordTag || old.discordTag,
+      ownershipVerified
+    };
+
+    if (oldWallet === primaryWallet) {
+      const member = this.memberFields(old, oldWallet, 'self');
+      if (wallets.length === 1) {
+        // The old address's roles are revoked by the caller
+        delete member.roles;
+        delete member.pendingRevocations;
       }
+      this.store.delete(oldWallet);
+      this.store.set(normalized, this.newUserRecord(normalized, { ...details, member }));
+    } else {
+      const record = this.newUserRecord(normalized, details);
+      this.store.delete(oldWallet);
+      this.store.set(normalized, record);
+      this.updateUser(primaryWallet, primary => {
+        Object.assign(primary, this.memberFields(primary, oldWallet, 'self'));
+        primary.addressHistory.push(this.historyEntry(normalized, record.linkedAt));
+      });
     }
-    return null;
+
+    logger.info('Wallet relinked', { discordId, oldWallet, wallet: normalized, ownershipVerified });
+    return { success: true, oldWallet, remaining: wallets.length - 1 };
+  }
+
+  // Update user's Discord info
+  updateUserInfo(walletAddress, discordUsername, discordTag) {
+    return this.updateUser(walletAddress, user => {
+      user.discordUsername = discordUsername;
+      user.discordTag = discordTag;
+      return true;
+    }) || false;
+  }
+
+  // Get the primary wallet of a Discord user
+  getWalletByDiscordId(discordId) {
+    const wallets = this.getWalletsByDiscordId(discordId);
+    return wallets.find(wallet => this.store.get(wallet)?.primary !== false) || wallets[0] || null;
+  }
+
+  // Get every wallet linked to a Discord user (in link order)
+  getWalletsByDiscordId(discordId) {
+    return this.store.getWalletsByDiscordId(discordId);
+  }
+
+  /**
+   * Every linked address of a Discord user, primary first
+   * @returns {Array<Object>} - User records with wallet
+   */
+  getUserAddresses(discordId) {
+    const primaryWallet = this.getWalletByDiscordId(discordId);
+    return this.getWalletsByDiscordId(discordId)
+      .sort((a, b) => (b === primaryWallet) - (a === primaryWallet))
+      .map(wallet => ({ wallet, ...this.store.get(wallet) }));
   }
 
   // Get user data by wallet
   getUserByWallet(walletAddress) {
-    return this.data[walletAddress.toLowerCase()] || null;
+    return this.store.get(walletAddress.toLowerCase());
   }
 
   // Get user data by Discord ID
   getUserByDiscordId(discordId) {
     const wallet = this.getWalletByDiscordId(discordId);
     if (!wallet) return null;
-    return { wallet, ...this.data[wallet] };
+    return { wallet, ...this.store.get(wallet) };
   }
 
   // ========== NEW METHOD: Remove user by wallet address ==========
   removeUser(walletAddress) {
     const normalized = walletAddress.toLowerCase();
-    if (this.data[normalized]) {
-      const userData = this.data[normalized];
-      delete this.data[normalized];
-      this.save();
+    const userData = this.store.get(normalized);
+    if (userData) {
+      this.store.delete(normalized);
       logger.info('User removed', {
         wallet: normalized.substring(0, 10) + '... ',
         discordId: userData.discordId
@@ -314,144 +1152,259 @@ class Database {
 
   // ========== NEW METHOD: Remove user by Discord ID ==========
   removeUserByDiscordId(discordId) {
-    const wallet = this.getWalletByDiscordId(discordId);
-    if (wallet) {
-      return this.removeUser(wallet);
-    }
-    return false;
+    const wallets = this.getWalletsByDiscordId(discordId);
+    wallets.forEach(wallet => this.removeUser(wallet));
+    return wallets.length > 0;
   }
 
   // Record verification for a contract with role tracking and txn count
   recordVerification(walletAddress, contractId, txHash, blockNumber, roleId = null, roleName = null, txnCount = 0) {
     const normalized = walletAddress.toLowerCase();
-    if (!this.data[normalized]) return false;
-
-    if (!this.data[normalized].verifications) {
-      this.data[normalized].verifications = {};
-    }
-
-    if (!this.data[normalized].roles) {
-      this.data[normalized].roles = [];
-    }
-
     const timestamp = new Date().toISOString();
 
-    this.data[normalized].verifications[contractId] = {
-      verified: true,
-      txHash,
-      blockNumber,
-      txnCount,
-      verifiedAt: timestamp
-    };
+    const userData = this.updateUser(normalized, user => {
+      if (!user.verifications) {
+        user.verifications = {};
+      }
 
-    // Track role if not already present
-    if (roleId && !this.data[normalized].roles.includes(roleId)) {
-      this.data[normalized].roles.push(roleId);
-    }
+      if (!user.roles) {
+        user.roles = [];
+      }
 
-    this.data[normalized].lastCheckedAt = timestamp;
+      user.verifications[contractId] = {
+        verified: true,
+        txHash,
+        blockNumber,
+        txnCount,
+        verifiedAt: timestamp
+      };
 
-    this.save();
-    logger.info('Verification recorded', { wallet: normalized, contractId, roleId });
+      // Track role if not already present
+      if (roleId && !user.roles.includes(roleId)) {
+        user.roles.push(roleId);
+      }
 
-    // Log to successful verifications (simple text format)
-    const userData = this.data[normalized];
-    this.recordSuccessfulVerification({
-      discordId: userData.discordId,
-      discordUsername: userData.discordUsername,
-      walletAddress: normalized,
-      contractId,
-      contractName: config.getContractById(contractId)?.name || contractId,
-      txnCount,
-      roleAssigned: true
+      user.lastCheckedAt = timestamp;
+      return user;
     });
+    if (!userData) return false;
 
+    logger.info('Verification recorded', { wallet: normalized, contractId, roleId });
     return true;
   }
 
   // Check if user is verified for a contract
   isVerified(walletAddress, contractId) {
-    const normalized = walletAddress.toLowerCase();
-    const user = this.data[normalized];
+    const user = this.store.get(walletAddress.toLowerCase());
     if (!user || !user.verifications) return false;
     return user.verifications[contractId]?.verified === true;
   }
 
   // Get all verifications for a user
   getVerifications(walletAddress) {
-    const normalized = walletAddress.toLowerCase();
-    const user = this.data[normalized];
+    const user = this.store.get(walletAddress.toLowerCase());
     if (!user) return {};
     return user.verifications || {};
   }
 
   // Get user's roles
   getUserRoles(walletAddress) {
-    const normalized = walletAddress.toLowerCase();
-    const user = this.data[normalized];
+    const user = this.store.get(walletAddress.toLowerCase());
     if (!user) return [];
     return user.roles || [];
   }
 
   // Add role to user
   addUserRole(walletAddress, roleId) {
-    const normalized = walletAddress.toLowerCase();
-    if (!this.data[normalized]) return false;
+    return this.updateUser(walletAddress, user => {
+      if (!user.roles) {
+        user.roles = [];
+      }
 
-    if (!this.data[normalized].roles) {
-      this.data[normalized].roles = [];
+      if (!user.roles.includes(roleId)) {
+        user.roles.push(roleId);
+      }
+      return true;
+    }) || false;
+  }
+
+  // Start the grace period for a role revocation (returns when it started)
+  markPendingRevocation(walletAddress, applicationKey) {
+    const user = this.store.get(walletAddress.toLowerCase());
+    if (!user) return null;
+
+    if (user.pendingRevocations?.[applicationKey]) {
+      return user.pendingRevocations[applicationKey];
     }
 
-    if (!this.data[normalized].roles.includes(roleId)) {
-      this.data[normalized].roles.push(roleId);
-      this.save();
+    return this.updateUser(walletAddress, current => {
+      if (!current.pendingRevocations) {
+        current.pendingRevocations = {};
+      }
+      current.pendingRevocations[applicationKey] = new Date().toISOString();
+      return current.pendingRevocations[applicationKey];
+    });
+  }
+
+  // Cancel a pending role revocation (e.g. user is eligible again)
+  clearPendingRevocation(walletAddress, applicationKey) {
+    const user = this.store.get(walletAddress.toLowerCase());
+    if (!user?.pendingRevocations?.[applicationKey]) return false;
+
+    return this.updateUser(walletAddress, current => {
+      delete current.pendingRevocations[applicationKey];
+      return true;
+    });
+  }
+
+  /**
+   * Store a moderator override for an application (replaces an existing one)
+   * @param {string} walletAddress
+   * @param {string} applicationKey
+   * @param {Object} override - { type: 'grant'|'deny', reason, actor, expiresAt (ISO string or null) }
+   * @returns {Object|null} - Stored override, or null if the wallet is not linked
+   */
+  setOverride(walletAddress, applicationKey, override) {
+    return this.updateUser(walletAddress, current => {
+      if (!current.overrides) {
+        current.overrides = {};
+      }
+      current.overrides[applicationKey] = { ...override, createdAt: new Date().toISOString() };
+      return current.overrides[applicationKey];
+    });
+  }
+
+  /**
+   * Remove a moderator override
+   * @returns {Object|null} - The removed override, or null if there was none
+   */
+  removeOverride(walletAddress, applicationKey) {
+    const user = this.store.get(walletAddress.toLowerCase());
+    if (!user?.overrides?.[applicationKey]) return null;
+
+    return this.updateUser(walletAddress, current => {
+      const removed = current.overrides[applicationKey];
+      delete current.overrides[applicationKey];
+      return removed;
+    });
+  }
+
+  /**
+   * Overrides that have not expired, keyed by application (expired ones are removed)
+   */
+  getActiveOverrides(walletAddress) {
+    const user = this.store.get(walletAddress.toLowerCase());
+    if (!user?.overrides) return {};
+
+    const now = Date.now();
+    const isExpired = override => override.expiresAt && new Date(override.expiresAt).getTime() <= now;
+    const expired = Object.keys(user.overrides).filter(key => isExpired(user.overrides[key]));
+
+    if (expired.length > 0) {
+      this.updateUser(walletAddress, current => {
+        for (const key of expired) {
+          delete current.overrides[key];
+        }
+        return true;
+      });
+      logger.info('Expired overrides removed', { wallet: walletAddress.substring(0, 10) + '...', applications: expired });
     }
+
+    return Object.fromEntries(Object.entries(user.overrides).filter(([, override]) => !isExpired(override)));
+  }
+
+  // Record a role revocation in the user's history
+  recordRevocation(walletAddress, revocation) {
+    const normalized = walletAddress.toLowerCase();
+    const user = this.updateUser(normalized, current => {
+      if (!current.revocations) {
+        current.revocations = [];
+      }
+
+      current.revocations.push({
+        ...revocation,
+        revokedAt: new Date().toISOString()
+      });
+
+      // Keep the most recent 50 revocations
+      if (current.revocations.length > 50) {
+        current.revocations = current.revocations.slice(-50);
+      }
+
+      if (current.roles) {
+        current.roles = current.roles.filter(roleId => roleId !== revocation.roleId);
+      }
+
+      if (current.pendingRevocations) {
+        delete current.pendingRevocations[revocation.application];
+      }
+      return current;
+    });
+    if (!user) return false;
+
+    this.store.appendEvent({ type: 'role_revoked', wallet: normalized, discordId: user.discordId, ...revocation });
+    logger.info('Role revocation recorded', { wallet: normalized.substring(0, 10) + '... ', ...revocation });
     return true;
   }
 
   // Update last checked timestamp
   updateLastChecked(walletAddress) {
-    const normalized = walletAddress.toLowerCase();
-    if (this.data[normalized]) {
-      this.data[normalized].lastCheckedAt = new Date().toISOString();
-      this.save();
-    }
+    this.updateUser(walletAddress, user => {
+      user.lastCheckedAt = new Date().toISOString();
+    });
+  }
+
+  // Store when the auto-verify worker should check this user next
+  scheduleNextCheck(walletAddress, nextCheckAt, failureStreak = 0) {
+    return this.updateUser(walletAddress, user => {
+      user.nextCheckAt = nextCheckAt;
+      user.failureStreak = failureStreak;
+      return true;
+    }) || false;
   }
 
   // Increment attempt counter
   incrementAttempts(walletAddress) {
-    const normalized = walletAddress.toLowerCase();
-    if (this.data[normalized]) {
-      this.data[normalized].attempts = (this.data[normalized].attempts || 0) + 1;
-      this.save();
-    }
+    this.updateUser(walletAddress, user => {
+      user.attempts = (user.attempts || 0) + 1;
+    });
   }
 
   // Save Gensyn verification results for a user
+  // An upstream error never replaces a previous conclusive result; it is only noted on it
   saveGensynVerification(walletAddress, verificationData) {
     const normalized = walletAddress.toLowerCase();
-    if (!this.data[normalized]) return false;
-
-    if (!this.data[normalized].gensynVerification) {
-      this.data[normalized].gensynVerification = {};
-    }
-
     const timestamp = new Date().toISOString();
 
-    this.data[normalized].gensynVerification = {
-      codeAssist: verificationData.codeAssist,
-      blockAssist: verificationData.blockAssist,
-      judge: verificationData.judge,
-      rlSwarm: verificationData.rlSwarm,
-      lastVerified: timestamp
-    };
+    const saved = this.updateUser(normalized, user => {
+      const previous = user.gensynVerification || {};
+
+      const gensynVerification = {};
+      for (const app of applications.getAll()) {
+        const result = verificationData[app.key];
+        const previousResult = previous[app.key];
+
+        if (result?.status === VERIFICATION_STATUS.ERROR && previousResult && previousResult.status !== VERIFICATION_STATUS.ERROR) {
+          gensynVerification[app.key] = {
+            ...previousResult,
+            lastError: { error: result.error, at: timestamp }
+          };
+        } else {
+          gensynVerification[app.key] = result;
+        }
+      }
+      gensynVerification.lastVerified = timestamp;
 
-    this.data[normalized].lastCheckedAt = timestamp;
-    this.save();
+      user.gensynVerification = gensynVerification;
+      user.lastCheckedAt = timestamp;
+      return true;
+    });
+    if (!saved) return false;
 
     logger.info('Gensyn verification saved', {
       wallet: normalized.substring(0, 10) + '... ',
-      eligible: verificationData.summary?.totalEligible || 0
+      eligible: verificationData.summary?.totalEligible || 0,
+      errors: verificationData.summary?.errors?.length || 0
     });
 
     return true;
@@ -459,16 +1412,14 @@ class Database {
 
   // Get Gensyn verification status for a user
   getGensynVerification(walletAddress) {
-    const normalized = walletAddress.toLowerCase();
-    const user = this.data[normalized];
+    const user = this.store.get(walletAddress.toLowerCase());
     if (!user) return null;
     return user.gensynVerification || null;
   }
 
   // Check if user is verified for a specific Gensyn application
   isGensynVerified(walletAddress, applicationName) {
-    const normalized = walletAddress.toLowerCase();
-    const user = this.data[normalized];
+    const user = this.store.get(walletAddress.toLowerCase());
     if (!user || !user.gensynVerification) return false;
 
     const verification = user.gensynVerification[applicationName];
@@ -477,13 +1428,15 @@ class Database {
 
   // Get all users
   getAllUsers() {
-    return this.data;
+    return this.store.all();
   }
 
   // Get users for auto-verification (all linked users)
+  // One record per member: additional addresses are checked together with the primary
   getUsersForAutoVerify() {
     const users = [];
-    for (const [wallet, userData] of Object.entries(this.data)) {
+    for (const [wallet, userData] of Object.entries(this.store.all())) {
+      if (userData.primary === false) continue;
       users.push({
         wallet,
         ...userData
@@ -492,53 +1445,82 @@ class Database {
     return users;
   }
 
-  // Get statistics
+  /**
+   * Statistics per member (each Discord user counts once, whatever the number of linked addresses)
+   * A member is verified for an application when any of their addresses is eligible.
+   */
   getStats() {
-    const users = Object.values(this.data);
+    const records = Object.values(this.store.all());
+    const users = records.filter(u => u.primary !== false);
     const totalUsers = users.length;
-    const verifiedUsers = users.filter(u =>
-      u.verifications && Object.values(u.verifications).some(v => v.verified)
-    ).length;
 
+    const recordsByMember = {};
+    for (const record of records) {
+      (recordsByMember[record.discordId] || (recordsByMember[record.discordId] = [])).push(record);
+    }
+    const members = Object.values(recordsByMember);
+    const isEligible = (memberRecords, key) => memberRecords.some(r => r.gensynVerification?.[key]?.eligible === true);
+    const isLegacyVerified = (memberRecords, id) => memberRecords.some(r => r.verifications?.[id]?.verified);
+
+    const applicationStats = {};
+    for (const app of applications.getConfigured()) {
+      applicationStats[app.key] = {
+        name: app.name,
+        verified: members.filter(memberRecords => isEligible(memberRecords, app.key)).length
+      };
+    }
+
+    // Legacy CONTRACT_n verifications (only written when that source is enabled)
     const contractStats = {};
     for (const contract of config.contracts) {
       contractStats[contract.id] = {
         name: contract.name,
-        verified: users.filter(u =>
-          u.verifications?.[contract.id]?.verified
-        ).length
+        verified: members.filter(memberRecords => isLegacyVerified(memberRecords, contract.id)).length
       };
     }
 
-    // Role distribution
+    const verifiedUsers = members.filter(memberRecords =>
+      applications.getConfigured().some(app => isEligible(memberRecords, app.key)) ||
+      config.contracts.some(contract => isLegacyVerified(memberRecords, contract.id))
+    ).length;
+
+    // Role distribution (roles are stored on the primary record)
     const roleDistribution = {};
-    for (const contract of config.contracts) {
-      roleDistribution[contract.roleId] = {
-        name: contract.name,
-        count: users.filter(u => u.roles && u.roles.includes(contract.roleId)).length
+    for (const { roleId, name } of [...applications.getConfigured(), ...config.contracts]) {
+      roleDistribution[roleId] = {
+        name,
+        count: users.filter(u => u.roles && u.roles.includes(roleId)).length
       };
     }
 
-    // Count log entries
-    const failedLogs = this.getFailedVerifications(1000);
-    const successLogs = this.getSuccessfulVerifications(1000);
+    // Count verification events (in-memory copy of the event log)
+    let failedCount = 0;
+    let successCount = 0;
+    for (const event of this.readVerificationEvents()) {
+      if (event.outcome === 'failure') failedCount++;
+      else if (event.outcome === 'success') successCount++;
+    }
 
     return {
       totalUsers,
       verifiedUsers,
       pendingUsers: totalUsers - verifiedUsers,
+      applicationStats,
       contractStats,
       roleDistribution,
-      failedCount: failedLogs.length,
-      successCount: successLogs.length
+      linkedAddresses: records.length,
+      failedCount,
+      successCount
     };
   }
 
   // Export all data (flat format for easy TXT export)
   exportAllData() {
+    this.requireUnlocked('exporting data');
     const flatUsers = [];
+    const allUsers = this.store.all();
 
-    for (const [wallet, userData] of Object.entries(this.data)) {
+    for (const [wallet, userData] of Object.entries(allUsers)) {
       const contractStatus = {};
       for (const contract of config.contracts) {
         const verification = userData.verifications?.[contract.id];
@@ -552,6 +1534,7 @@ class Database {
         wallet,
         discordId: userData.discordId,
         discordUsername: userData.discordUsername || 'Unknown',
+        addressType: userData.primary === false ? 'additional' : 'primary',
         linkedAt: userData.linkedAt?.split('T')[0] || 'N/A',
         ...contractStatus
       });
@@ -559,25 +1542,45 @@ class Database {
 
     return {
       users: flatUsers,
-      rawData: this.data,
+      rawData: allUsers,
+      addressesByMember: this.getAddressesByMember(),
+      unlinkedMembers: this.store.getMeta('unlinkedMembers') || {},
       failedVerifications: this.getFailedVerifications(100),
       successfulVerifications: this.getSuccessfulVerifications(100),
+      verificationEvents: this.queryVerificationEvents({ limit: 1000 }).events,
       exportedAt: new Date().toISOString()
     };
   }
 
   /**
-   * Export users in flat TXT format
-   * Format: WALLET | DISCORD_ID | DISCORD_NAME | CONTRACT1 | CONTRACT2 | ...  | LINKED_AT
+   * Linked addresses grouped by Discord ID (primary address first)
+   */
+  getAddressesByMember() {
+    const members = {};
+    for (const [wallet, userData] of Object.entries(this.store.all())) {
+      const wallets = members[userData.discordId] || (members[userData.discordId] = []);
+      if (userData.primary === false) {
+        wallets.push(wallet);
+      } else {
+        wallets.unshift(wallet);
+      }
+    }
+    return members;
+  }
+
+  /**
+   * Export users in flat TXT format (one line per linked address)
+   * Format: WALLET | DISCORD_ID | DISCORD_NAME | CONTRACT1 | CONTRACT2 | ...  | LINKED_AT | ADDRESS_TYPE
    */
   exportFlatFormat() {
+    this.requireUnlocked('exporting data');
     const header = ['WALLET', 'DISCORD_ID', 'DISCORD_NAME'];
     config.contracts.forEach(c => header.push(c.name.toUpperCase()));
-    header.push('LINKED_AT');
+    header.push('LINKED_AT', 'ADDRESS_TYPE');
 
     const lines = [header.join(' | ')];
 
-    for (const [wallet, userData] of Object.entries(this.data)) {
+    for (const [wallet, userData] of Object.entries(this.store.all())) {
       const row = [
         wallet,
         userData.discordId,
@@ -590,7 +1593,7 @@ class Database {
         row.push(verification?.verified ? `✅ (${txnCount} txns)` : `❌ (${txnCount} txns)`);
       }
 
-      row.push(userData.linkedAt?.split('T')[0] || 'N/A');
+      row.push(userData.linkedAt?.split('T')[0] || 'N/A', userData.primary === false ? 'additional' : 'primary');
       lines.push(row.join(' | '));
     }
 
@@ -1,5 +1,7 @@
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { REASON_CODE } = require('../config/constants');
+const { reasonFromError } = require('../utils/failureReasons');
 
 // Retriable HTTP status codes
 const RETRIABLE_STATUS_CODES = [502, 503, 504, 429];
@@ -69,6 +71,7 @@ class ExplorerApiService {
    * @returns {Promise<Object>} - JSON response
    */
   async fetchWithRetry(url, retries = 3) {
+    let lastStatus = null;
     for (let i = 0; i < retries; i++) {
       let timeoutId;
       try {
@@ -95,13 +98,16 @@ class ExplorerApiService {
         
         // Retry on retriable status codes (502, 503, 504, 429)
         if (RETRIABLE_STATUS_CODES.includes(response.status)) {
+          lastStatus = response.status;
           const delay = Math.pow(2, i) * 1000; // 1s, 2s, 4s
           logger.debug(`API returned ${response.status}, retrying in ${delay}ms`);
           await new Promise(resolve => setTimeout(resolve, delay));
           continue;
         }
         
-        throw new Error(`API error: ${response.status}`);
+        const error = new Error(`API error: ${response.status}`);
+        error.status = response.status;
+        throw error;
       } catch (error) {
         if (timeoutId) clearTimeout(timeoutId);
         if (i === retries - 1) throw error;
@@ -110,6 +116,11 @@ class ExplorerApiService {
         await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
+
+    // Every attempt got a retriable status
+    const error = new Error(`API error: ${lastStatus} after ${retries} attempts`);
+    error.status = lastStatus;
+    throw error;
   }
 
   /**
@@ -197,7 +208,7 @@ class ExplorerApiService {
         wallet: normalizedAddress.substring(0, 10) + '...',
         error: error.message 
       });
-      return { success: false, transactions: [], error: error.message };
+      return { success: false, transactions: [], error: error.message, reasonCode: reasonFromError(error) };
     }
   }
 
@@ -225,7 +236,7 @@ class ExplorerApiService {
       return { success: true, transactions: data.result || [] };
     } catch (error) {
       logger.debug('Transaction trace error', { txHash: txHash.substring(0, 10) + '...', error: error.message });
-      return { success: false, transactions: [], error: error.message };
+      return { success: false, transactions: [], error: error.message, reasonCode: reasonFromError(error) };
     }
   }
 
@@ -255,7 +266,7 @@ class ExplorerApiService {
       const walletTxns = await this.getWalletInternalTransactions(normalizedAddress);
       
       if (!walletTxns.success) {
-        return { success: false, transactions: [], error: walletTxns.error };
+        return { success: false, transactions: [], error: walletTxns.error, reasonCode: walletTxns.reasonCode };
       }
 
       if (walletTxns.transactions.length === 0) {
@@ -298,7 +309,7 @@ class ExplorerApiService {
         wallet: normalizedAddress.substring(0, 10) + '...',
         error: error.message 
       });
-      return { success: false, transactions: [], error: error.message };
+      return { success: false, transactions: [], error: error.message, reasonCode: reasonFromError(error) };
     }
   }
 
@@ -374,7 +385,7 @@ class ExplorerApiService {
     const minTxns = this.getMinTransactions();
 
     try {
-      const { success, transactions, error } = await this.getInternalTransactions(normalizedWallet);
+      const { success, transactions, error, reasonCode } = await this.getInternalTransactions(normalizedWallet);
 
       if (!success) {
         return {
@@ -384,7 +395,8 @@ class ExplorerApiService {
           contractAddress: contract.address,
           roleId: contract.roleId,
           txnCount: 0,
-          error: error || 'API error - retry later'
+          error: error || 'API error - retry later',
+          reasonCode: reasonCode || REASON_CODE.UPSTREAM_ERROR
         };
       }
 
@@ -406,7 +418,8 @@ class ExplorerApiService {
           contractAddress: contract.address,
           roleId: contract.roleId,
           txnCount,
-          error: reason
+          error: reason,
+          reasonCode: txnCount === 0 ? REASON_CODE.NO_PARTICIPATION : REASON_CODE.BELOW_THRESHOLD
         };
       }
 
@@ -447,7 +460,8 @@ class ExplorerApiService {
         contractAddress: contract.address,
         roleId: contract.roleId,
         txnCount: 0,
-        error: error.message
+        error: error.message,
+        reasonCode: reasonFromError(error)
       };
     }
   }
@@ -462,7 +476,7 @@ class ExplorerApiService {
 
     try {
       // First, fetch transactions once (will be cached)
-      const { success, transactions, error } = await this.getInternalTransactions(normalizedWallet);
+      const { success, transactions, error, reasonCode } = await this.getInternalTransactions(normalizedWallet);
 
       if (!success) {
         // Return error for all contracts
@@ -473,7 +487,8 @@ class ExplorerApiService {
           contractAddress: contract.address,
           roleId: contract.roleId,
           txnCount: 0,
-          error: error || 'API error - retry later'
+          error: error || 'API error - retry later',
+          reasonCode: reasonCode || REASON_CODE.UPSTREAM_ERROR
         }));
       }
 
@@ -500,7 +515,8 @@ class ExplorerApiService {
               contractAddress: contract.address,
               roleId: contract.roleId,
               txnCount,
-              error: reason
+              error: reason,
+              reasonCode: txnCount === 0 ? REASON_CODE.NO_PARTICIPATION : REASON_CODE.BELOW_THRESHOLD
             };
           }
 
@@ -542,7 +558,8 @@ class ExplorerApiService {
         contractAddress: contract.address,
         roleId: contract.roleId,
         txnCount: 0,
-        error: error.message
+        error: error.message,
+        reasonCode: reasonFromError(error)
       }));
     }
   }
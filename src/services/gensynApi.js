@@ -1,23 +1,81 @@
 const axios = require('axios');
 const { ethers } = require('ethers');
+const config = require('../config/config');
+const { VERIFICATION_STATUS, REASON_CODE } = require('../config/constants');
+const { reasonFromError } = require('../utils/failureReasons');
+
+// Addresses per getPeerId call and calls per multicall
+const RPC_CHUNK_SIZE = 100;
+// Prefetched RLSwarm results are only used within one worker batch
+const PREFETCH_TTL_MS = 5 * 60 * 1000;
 
 class GensynApiService {
   constructor() {
-    this.dashboardBaseUrl = 'https://dashboard.gensyn.ai/api/v1';
-    this.rpcUrl = 'https://gensyn-testnet.g.alchemy.com/public';
-    this.swarmContractAddress = '0x7745a8FE4b8D2D2c3BB103F8dCae822746F35Da0';
-    
+    this.dashboardBaseUrl = config.gensyn.dashboardUrl;
+    this.rpcUrl = config.gensyn.rpcUrl;
+    this.swarmContractAddresses = config.gensyn.swarmContracts;
+
     this.swarmAbi = [
       'function getPeerId(address[] calldata eoas) external view returns (string[][] memory)',
-      'function getTotalWins(string calldata peerId) external view returns (uint256)'
+      'function getTotalWins(string calldata peerId) external view returns (uint256)',
+      'function getEoa(string[] calldata peerIds) external view returns (address[] memory)'
     ];
     
     this.provider = new ethers.JsonRpcProvider(this.rpcUrl);
-    this.swarmContract = new ethers.Contract(
-      this.swarmContractAddress,
-      this.swarmAbi,
-      this.provider
+    // Current deployment first, then older ones
+    this.swarmContracts = this.swarmContractAddresses.map(address =>
+      new ethers.Contract(address, this.swarmAbi, this.provider)
     );
+
+    // Multicall3 (aggregate3) for batched reads, disabled when MULTICALL_ADDRESS is empty
+    this.multicall = config.gensyn.multicallAddress
+      ? new ethers.Contract(config.gensyn.multicallAddress, [
+        'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+      ], this.provider)
+      : null;
+    this.prefetched = new Map(); // lowercase address -> { result, expiresAt }
+  }
+
+  /**
+   * Fetch a Dashboard API endpoint
+   * Resolves to null when the user has no record (404) and throws for anything
+   * that means the Dashboard could not answer (timeouts, 5xx, rate limits).
+   * @param {string} url - Endpoint URL
+   * @returns {Promise<Object|null>} - Response body or null
+   */
+  async fetchDashboard(url) {
+    const response = await axios.get(url, { 
+      timeout: 10000,
+      validateStatus: (status) => status < 500
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (response.status >= 400) {
+      throw new Error(`Dashboard API responded with status ${response.status}`);
+    }
+
+    return response.data || null;
+  }
+
+  /**
+   * Build a result for a check that could not be completed
+   * @param {string} appName - Application display name
+   * @param {Error} error - Underlying cause
+   * @param {Object} defaults - Application-specific default fields
+   */
+  errorResult(appName, error, defaults = {}) {
+    const cause = error.code === 'ECONNABORTED' ? 'Request timed out' : error.message;
+    return {
+      ...defaults,
+      eligible: false,
+      status: VERIFICATION_STATUS.ERROR,
+      reasonCode: reasonFromError(error),
+      error: cause,
+      message: `${appName}: ⚠️ Could not check (${cause})`
+    };
   }
 
   /**
@@ -25,36 +83,22 @@ class GensynApiService {
    */
   async verifyCodeAssist(address) {
     try {
-      const url = `${this. dashboardBaseUrl}/applications/codeassist/userinfo/${address}`;
-      const response = await axios.get(url, { 
-        timeout: 10000,
-        validateStatus: (status) => status < 500
-      });
-      
-      if (response.status === 404 || ! response.data) {
-        return {
-          eligible: false,
-          participation: 0,
-          message: `CodeAssist: ❌ No participation found`
-        };
-      }
-      
-      const participation = response.data?.participation || 0;
+      const data = await this.fetchDashboard(`${this.dashboardBaseUrl}/applications/codeassist/userinfo/${address}`);
+      const participation = data?.participation || 0;
+      const eligible = participation > 0;
       
       return {
-        eligible: participation > 0,
+        eligible,
+        status: eligible ? VERIFICATION_STATUS.ELIGIBLE : VERIFICATION_STATUS.NOT_ELIGIBLE,
         participation: participation,
-        message: participation > 0 
+        reasonCode: eligible ? null : REASON_CODE.NO_PARTICIPATION,
+        message: eligible 
           ? `CodeAssist: ✅ Verified (Participation: ${participation})`
           : `CodeAssist: ❌ No participation found`
       };
     } catch (error) {
-      console.log('CodeAssist check for', address, '- No data found');
-      return {
-        eligible: false,
-        participation: 0,
-        message: `CodeAssist: ❌ No participation found`
-      };
+      console.log('CodeAssist check for', address, '- Upstream error:', error.message);
+      return this.errorResult('CodeAssist', error, { participation: 0 });
     }
   }
 
@@ -63,36 +107,22 @@ class GensynApiService {
    */
   async verifyBlockAssist(address) {
     try {
-      const url = `${this.dashboardBaseUrl}/users/${address}/blockassist/stats`;
-      const response = await axios.get(url, { 
-        timeout: 10000,
-        validateStatus: (status) => status < 500
-      });
-      
-      if (response.status === 404 || !response.data) {
-        return {
-          eligible: false,
-          participation: 0,
-          message: `BlockAssist: ❌ No participation found`
-        };
-      }
-      
-      const participation = response.data?.participation || 0;
+      const data = await this.fetchDashboard(`${this.dashboardBaseUrl}/users/${address}/blockassist/stats`);
+      const participation = data?.participation || 0;
+      const eligible = participation > 0;
       
       return {
-        eligible: participation > 0,
+        eligible,
+        status: eligible ? VERIFICATION_STATUS.ELIGIBLE : VERIFICATION_STATUS.NOT_ELIGIBLE,
         participation: participation,
-        message: participation > 0 
+        reasonCode: eligible ? null : REASON_CODE.NO_PARTICIPATION,
+        message: eligible 
           ? `BlockAssist: ✅ Verified (Participation: ${participation})`
           : `BlockAssist: ❌ No participation found`
       };
     } catch (error) {
-      console.log('BlockAssist check for', address, '- No data found');
-      return {
-        eligible: false,
-        participation: 0,
-        message: `BlockAssist: ❌ No participation found`
-      };
+      console.log('BlockAssist check for', address, '- Upstream error:', error.message);
+      return this.errorResult('BlockAssist', error, { participation: 0 });
     }
   }
 
@@ -101,132 +131,244 @@ class GensynApiService {
    */
   async verifyJudge(address) {
     try {
-      const url = `${this. dashboardBaseUrl}/applications/verdict/userinfo/${address}`;
-      const response = await axios. get(url, { 
-        timeout: 10000,
-        validateStatus: (status) => status < 500
-      });
-      
-      if (response.status === 404 || ! response.data) {
-        return {
-          eligible: false,
-          betsPlaced: 0,
-          totalPoints: 0,
-          entriesCount: 0,
-          message: `Judge: ❌ No bets/entries found`
-        };
-      }
-      
-      const entries = response.data?. entries || [];
-      const betsPlaced = response.data?.betsPlaced || 0;
-      const totalPoints = response.data?.totalPoints || 0;
+      const data = await this.fetchDashboard(`${this.dashboardBaseUrl}/applications/verdict/userinfo/${address}`);
+      const entries = data?.entries || [];
+      const betsPlaced = data?.betsPlaced || 0;
+      const totalPoints = data?.totalPoints || 0;
       
       const hasEntries = entries.length > 0 || betsPlaced > 0;
       
       return {
         eligible: hasEntries,
+        status: hasEntries ? VERIFICATION_STATUS.ELIGIBLE : VERIFICATION_STATUS.NOT_ELIGIBLE,
         betsPlaced: betsPlaced,
         totalPoints: totalPoints,
         entriesCount: entries.length,
+        reasonCode: hasEntries ? null : REASON_CODE.NO_PARTICIPATION,
         message: hasEntries 
           ? `Judge: ✅ Verified (Bets: ${betsPlaced}, Points: ${totalPoints})`
           : `Judge: ❌ No bets/entries found`
       };
     } catch (error) {
-      console.log('Judge check for', address, '- No data found');
-      return {
-        eligible: false,
-        betsPlaced: 0,
-        totalPoints: 0,
-        entriesCount: 0,
-        message: `Judge: ❌ No bets/entries found`
-      };
+      console.log('Judge check for', address, '- Upstream error:', error.message);
+      return this.errorResult('Judge', error, { betsPlaced: 0, totalPoints: 0, entriesCount: 0 });
     }
   }
 
+  /**
+   * Find the EOA a peer ID is registered to (swarm contract reverse lookup)
+   * Deployments are searched in order, so the current registration wins.
+   * @param {string} peerId - RLSwarm peer ID
+   * @returns {Promise<string|null>} - Checksummed address, or null if the peer is not registered
+   * @throws {Error} - If the contract could not be read
+   */
+  async resolvePeerId(peerId) {
+    for (const contract of this.swarmContracts) {
+      const [eoa] = await contract.getEoa([peerId]);
+      if (eoa && eoa !== ethers.ZeroAddress) {
+        return ethers.getAddress(eoa);
+      }
+    }
+    return null;
+  }
+
   /**
    * Verify RLSwarm (The Swarm) participation
+   * Every configured swarm contract is checked and wins are summed across them.
+   * Results list every peer with its own wins (`peers`, wins is null if it could not be read).
+   * Uses the result of an earlier prefetchRLSwarm for this address if there is one.
    */
   async verifyRLSwarm(address) {
+    const prefetched = this.takePrefetched(address);
+    if (prefetched) return prefetched;
+
     try {
-      const peerIdsResult = await this.swarmContract.getPeerId([address]);
-      const peerIds = peerIdsResult[0] || [];
-      
-      if (peerIds.length === 0) {
-        return {
-          eligible: false,
-          peerIds: [],
-          peerCount: 0,
-          totalWins: 0,
-          message: `RLSwarm: ❌ No peer IDs registered`
-        };
-      }
-      
-      let totalWins = 0;
-      for (const peerId of peerIds) {
+      let lastError = null;
+      const registrations = [];
+      for (const contract of this.swarmContracts) {
         try {
-          const wins = await this.swarmContract.getTotalWins(peerId);
-          totalWins += Number(wins);
+          const peerIdsResult = await contract.getPeerId([address]);
+          for (const peerId of peerIdsResult[0] || []) {
+            registrations.push({ contract, peerId });
+          }
         } catch (err) {
-          console.log(`Could not get wins for peer ${peerId. substring(0, 20)}...`);
+          lastError = err;
+          console.log(`Could not get peer IDs from swarm contract ${contract.target}:`, err.message);
         }
       }
-      
-      const eligible = totalWins > 0;
-      
-      return {
-        eligible: eligible,
-        peerIds: peerIds,
-        peerCount: peerIds.length,
-        totalWins: totalWins,
-        message: eligible 
-          ?  `RLSwarm: ✅ Verified (Peers: ${peerIds.length}, Total Wins: ${totalWins})`
-          : `RLSwarm: ❌ No wins found (Peers: ${peerIds.length}, Wins: 0)`
-      };
+
+      // No peers is only conclusive if every deployment could be read
+      if (registrations.length === 0 && lastError) throw lastError;
+
+      return this.rlSwarmResult(registrations, await this.readWins(registrations), lastError);
     } catch (error) {
-      console.log('RLSwarm check for', address, '- No peers found');
+      console.log('RLSwarm check for', address, '- RPC error:', error.message);
+      return this.errorResult('RLSwarm', error, { peerIds: [], peers: [], peerCount: 0, totalWins: 0 });
+    }
+  }
+
+  /**
+   * Check RLSwarm for many addresses at once and keep the results for verifyRLSwarm
+   * getPeerId takes the whole list in one call per contract and wins are read through
+   * readWins, so a worker batch needs only a few RPC calls. Nothing is kept if a
+   * contract could not be read - those addresses are then checked one by one.
+   * @param {string[]} addresses
+   * @returns {Promise<number>} - Number of addresses prefetched
+   * @throws {Error} - If a contract could not be read
+   */
+  async prefetchRLSwarm(addresses) {
+    this.dropExpiredPrefetches();
+    const unique = [...new Set(addresses.map(address => ethers.getAddress(address)))];
+    if (unique.length === 0) return 0;
+
+    const registrations = unique.map(() => []);
+    for (const contract of this.swarmContracts) {
+      for (let i = 0; i < unique.length; i += RPC_CHUNK_SIZE) {
+        const chunk = unique.slice(i, i + RPC_CHUNK_SIZE);
+        const peerLists = await contract.getPeerId(chunk);
+        chunk.forEach((address, j) => {
+          for (const peerId of peerLists[j] || []) {
+            registrations[i + j].push({ contract, peerId });
+          }
+        });
+      }
+    }
+
+    const wins = await this.readWins(registrations.flat());
+    const expiresAt = Date.now() + PREFETCH_TTL_MS;
+    let offset = 0;
+    unique.forEach((address, index) => {
+      const own = registrations[index];
+      const result = this.rlSwarmResult(own, wins.slice(offset, offset + own.length), null);
+      offset += own.length;
+      this.prefetched.set(address.toLowerCase(), { result, expiresAt });
+    });
+
+    return unique.length;
+  }
+
+  /**
+   * Remove and return a prefetched RLSwarm result (each is used once)
+   */
+  takePrefetched(address) {
+    const key = address.toLowerCase();
+    const entry = this.prefetched.get(key);
+    if (!entry) return null;
+
+    this.prefetched.delete(key);
+    return entry.expiresAt > Date.now() ? entry.result : null;
+  }
+
+  dropExpiredPrefetches() {
+    const now = Date.now();
+    for (const [key, entry] of this.prefetched) {
+      if (entry.expiresAt <= now) this.prefetched.delete(key);
+    }
+  }
+
+  /**
+   * Read getTotalWins for many peers
+   * One Multicall3 aggregate3 call per chunk; without multicall (or if it fails) the
+   * calls are sent concurrently, which the provider groups into JSON-RPC batches.
+   * @param {Array<{contract: Object, peerId: string}>} registrations
+   * @returns {Promise<Array<{wins: number|null, error: Error|null}>>} - In the same order
+   */
+  async readWins(registrations) {
+    if (this.multicall && registrations.length > 1) {
+      try {
+        return await this.readWinsMulticall(registrations);
+      } catch (err) {
+        console.log('Multicall failed, reading wins peer by peer:', err.message);
+      }
+    }
+
+    return Promise.all(registrations.map(({ contract, peerId }) =>
+      contract.getTotalWins(peerId).then(
+        wins => ({ wins: Number(wins), error: null }),
+        error => ({ wins: null, error })
+      )
+    ));
+  }
+
+  async readWinsMulticall(registrations) {
+    const results = [];
+    for (let i = 0; i < registrations.length; i += RPC_CHUNK_SIZE) {
+      const chunk = registrations.slice(i, i + RPC_CHUNK_SIZE);
+      const responses = await this.multicall.aggregate3.staticCall(chunk.map(({ contract, peerId }) => ({
+        target: contract.target,
+        allowFailure: true,
+        callData: contract.interface.encodeFunctionData('getTotalWins', [peerId])
+      })));
+
+      responses.forEach(([success, returnData], j) => {
+        const { contract, peerId } = chunk[j];
+        try {
+          if (!success) throw new Error(`getTotalWins reverted for peer ${peerId}`);
+          const [wins] = contract.interface.decodeFunctionResult('getTotalWins', returnData);
+          results.push({ wins: Number(wins), error: null });
+        } catch (error) {
+          results.push({ wins: null, error });
+        }
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Build the RLSwarm result from an address's peer registrations and their wins
+   * @param {Error|null} lastError - Error from a swarm contract that could not be read
+   */
+  rlSwarmResult(registrations, wins, lastError) {
+    if (registrations.length === 0) {
       return {
         eligible: false,
+        status: VERIFICATION_STATUS.NOT_ELIGIBLE,
         peerIds: [],
+        peers: [],
         peerCount: 0,
         totalWins: 0,
-        message: `RLSwarm: ❌ No peers registered`
+        reasonCode: REASON_CODE.NO_PEERS,
+        message: `RLSwarm: ❌ No peer IDs registered`
       };
     }
-  }
 
-  /**
-   * Verify all applications for an address
-   */
-  async verifyAll(address) {
-    if (!ethers.isAddress(address)) {
-      throw new Error('Invalid Ethereum address format');
+    let totalWins = 0;
+    const peers = registrations.map(({ contract, peerId }, index) => {
+      const { wins: peerWins, error } = wins[index];
+      if (error) {
+        lastError = error;
+        console.log(`Could not get wins for peer ${peerId.substring(0, 20)}...`);
+      } else {
+        totalWins += peerWins;
+      }
+      return { peerId, wins: peerWins, contract: contract.target };
+    });
+
+    // A peer registered on several deployments is counted once
+    const peerIds = [...new Set(registrations.map(r => r.peerId))];
+    const eligible = totalWins > 0;
+
+    // Zero wins is only conclusive if every peer could be read
+    if (!eligible && lastError) {
+      return this.errorResult('RLSwarm', lastError, {
+        peerIds: peerIds,
+        peers,
+        peerCount: peerIds.length,
+        totalWins: 0
+      });
     }
-    
-    const normalizedAddress = ethers.getAddress(address);
-    
-    const [codeAssist, blockAssist, judge, rlSwarm] = await Promise.all([
-      this.verifyCodeAssist(normalizedAddress),
-      this.verifyBlockAssist(normalizedAddress),
-      this.verifyJudge(normalizedAddress),
-      this.verifyRLSwarm(normalizedAddress)
-    ]);
-    
+
     return {
-      address: normalizedAddress,
-      codeAssist,
-      blockAssist,
-      judge,
-      rlSwarm,
-      summary: {
-        totalEligible: [codeAssist, blockAssist, judge, rlSwarm].filter(r => r.eligible).length,
-        eligible: {
-          codeAssist: codeAssist.eligible,
-          blockAssist: blockAssist.eligible,
-          judge: judge.eligible,
-          rlSwarm: rlSwarm.eligible
-        }
-      }
+      eligible: eligible,
+      status: eligible ? VERIFICATION_STATUS.ELIGIBLE : VERIFICATION_STATUS.NOT_ELIGIBLE,
+      peerIds: peerIds,
+      peers,
+      peerCount: peerIds.length,
+      totalWins: totalWins,
+      reasonCode: eligible ? null : REASON_CODE.NO_WINS,
+      message: eligible 
+        ?  `RLSwarm: ✅ Verified (Peers: ${peerIds.length}, Total Wins: ${totalWins})`
+        : `RLSwarm: ❌ No wins found (Peers: ${peerIds.length}, Wins: 0)`
     };
   }
 }
@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+const NEW_SUFFIX = '.rotate-new';
+
+/**
+ * Re-encrypts every protected file with a new master key.
+ *
+ * Rotation is two-phase and journaled:
+ *   1. prepare - each file is decrypted with the old key, re-encrypted with the new
+ *      key into <file>.rotate-new and read back to verify it. Nothing is replaced yet.
+ *   2. commit  - once every file verified, the journal is marked "committing" and the
+ *      new files are renamed over the old ones.
+ * After a crash, recover() rolls an unfinished prepare back and rolls an unfinished
+ * commit forward, so the files never end up with a mix of keys.
+ */
+class KeyRotation {
+  constructor() {
+    this.dataDir = path.dirname(config.database.path);
+    this.journalPath = path.join(this.dataDir, 'key-rotation.json');
+  }
+
+  /**
+   * Files protected by the master key
+   * @returns {Array<{path: string, type: string}>} - Existing files (database, backups, logs)
+   */
+  listArtifacts() {
+    const artifacts = [];
+
+    if (fs.existsSync(config.database.path)) {
+      artifacts.push({ path: config.database.path, type: 'database' });
+    }
+
+    const backupsDir = path.join(this.dataDir, 'backups');
+    if (fs.existsSync(backupsDir)) {
+      for (const name of fs.readdirSync(backupsDir).sort()) {
+        if (name.startsWith('users-') && name.endsWith('.json')) {
+          artifacts.push({ path: path.join(backupsDir, name), type: 'backup' });
+        }
+      }
+    }
+
+    const logPaths = [config.logging.verificationEventsPath, config.logging.failedLogPath, config.logging.successLogPath];
+    for (const logPath of logPaths) {
+      if (fs.existsSync(logPath)) {
+        artifacts.push({ path: logPath, type: 'log' });
+      }
+    }
+
+    return artifacts;
+  }
+
+  /**
+   * Decrypt a file's content with the old key
+   * Logs are encrypted line by line, everything else as one block.
+   * @returns {{plaintext: string|string[], encrypted: number}}
+   */
+  decryptContent(artifact, content, oldCipher) {
+    const decrypt = data => oldCipher.isEncrypted(data) ? oldCipher.decrypt(data.trim()) : data;
+
+    if (artifact.type === 'log') {
+      const lines = content.split('\n').filter(line => line.trim());
+      return {
+        plaintext: lines.map(decrypt),
+        encrypted: lines.filter(line => oldCipher.isEncrypted(line)).length
+      };
+    }
+
+    const plaintext = decrypt(content);
+    JSON.parse(plaintext); // Database and backups must still be valid JSON
+    return { plaintext, encrypted: oldCipher.isEncrypted(content) ? 1 : 0 };
+  }
+
+  encryptContent(artifact, plaintext, newCipher) {
+    if (artifact.type === 'log') {
+      return plaintext.map(line => newCipher.encrypt(line)).join('\n') + (plaintext.length ? '\n' : '');
+    }
+    return newCipher.encrypt(plaintext);
+  }
+
+  /**
+   * Re-encrypt all protected files
+   * @param {Object} oldCipher - Cipher for the current key (SecurityService.createCipher)
+   * @param {Object} newCipher - Cipher for the new key
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Only check that every file decrypts with the old key
+   * @returns {Object} - Rotation report
+   */
+  rotate(oldCipher, newCipher, { dryRun = false } = {}) {
+    if (fs.existsSync(this.journalPath)) {
+      throw new Error(`An earlier rotation was interrupted (${this.journalPath}) - restart the bot or run the rotation again to recover it first`);
+    }
+
+    const report = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      dryRun,
+      committed: false,
+      files: []
+    };
+
+    const artifacts = this.listArtifacts();
+    const prepared = [];
+
+    try {
+      if (!dryRun) {
+        this.writeJournal('preparing', artifacts);
+      }
+
+      // Phase 1: write and verify every new file next to the old one
+      for (const artifact of artifacts) {
+        const entry = { path: artifact.path, type: artifact.type, status: 'pending' };
+        report.files.push(entry);
+
+        const content = fs.readFileSync(artifact.path, 'utf8');
+        let decrypted;
+        try {
+          decrypted = this.decryptContent(artifact, content, oldCipher);
+        } catch (error) {
+          entry.status = 'failed';
+          entry.error = `Cannot decrypt with the current key: ${error.message}`;
+          throw new Error(`${artifact.path}: ${entry.error}`);
+        }
+
+        entry.encryptedEntries = decrypted.encrypted;
+        entry.entries = Array.isArray(decrypted.plaintext) ? decrypted.plaintext.length : 1;
+        if (dryRun) {
+          entry.status = 'ok';
+          continue;
+        }
+
+        const newPath = artifact.path + NEW_SUFFIX;
+        writeFileAtomic(newPath, this.encryptContent(artifact, decrypted.plaintext, newCipher));
+        prepared.push(newPath);
+        const { mtime } = fs.statSync(artifact.path);
+        fs.utimesSync(newPath, new Date(), mtime); // backups are listed by modification time
+
+        const check = this.decryptContent(artifact, fs.readFileSync(newPath, 'utf8'), newCipher);
+        if (JSON.stringify(check.plaintext) !== JSON.stringify(decrypted.plaintext)) {
+          entry.status = 'failed';
+          entry.error = 'Re-encrypted file did not verify';
+          throw new Error(`${artifact.path}: ${entry.error}`);
+        }
+        entry.status = 'verified';
+      }
+    } catch (error) {
+      // Nothing was replaced - drop the new files and keep the old key
+      this.rollback(prepared);
+      for (const entry of report.files.filter(f => f.status === 'verified')) {
+        entry.status = 'rolled-back';
+      }
+      report.finishedAt = new Date().toISOString();
+      report.error = error.message;
+      logger.error('Key rotation aborted - all files still use the current key', { error: error.message });
+      return report;
+    }
+
+    if (dryRun) {
+      report.finishedAt = new Date().toISOString();
+      return report;
+    }
+
+    // Phase 2: commit point - from here on a crash is rolled forward
+    this.writeJournal('committing', artifacts);
+    this.commit(artifacts);
+    for (const entry of report.files) {
+      entry.status = 'rotated';
+    }
+
+    report.committed = true;
+    report.finishedAt = new Date().toISOString();
+    report.reportPath = this.writeReport(report);
+    logger.warn('Master key rotated', { files: report.files.length, report: report.reportPath });
+    return report;
+  }
+
+  writeJournal(state, artifacts) {
+    writeFileAtomic(this.journalPath, JSON.stringify({
+      state,
+      updatedAt: new Date().toISOString(),
+      files: artifacts.map(a => a.path)
+    }, null, 2));
+  }
+
+  commit(artifacts) {
+    for (const artifact of artifacts) {
+      const newPath = artifact.path + NEW_SUFFIX;
+      if (fs.existsSync(newPath)) {
+        fs.renameSync(newPath, artifact.path);
+      }
+    }
+    fs.unlinkSync(this.journalPath);
+  }
+
+  rollback(newPaths) {
+    for (const newPath of newPaths) {
+      try {
+        fs.unlinkSync(newPath);
+      } catch (error) {
+        // Already gone
+      }
+    }
+    if (fs.existsSync(this.journalPath)) {
+      fs.unlinkSync(this.journalPath);
+    }
+  }
+
+  /**
+   * Finish or undo a rotation that was interrupted by a crash
+   * @returns {string|null} - 'rolled-back', 'completed', or null if nothing was pending
+   */
+  recover() {
+    if (!fs.existsSync(this.journalPath)) return null;
+
+    const journal = JSON.parse(fs.readFileSync(this.journalPath, 'utf8'));
+    const artifacts = journal.files.map(filePath => ({ path: filePath }));
+
+    if (journal.state === 'committing') {
+      this.commit(artifacts);
+      logger.warn('Completed an interrupted key rotation - files now use the NEW master key', { files: artifacts.length });
+      return 'completed';
+    }
+
+    this.rollback(artifacts.map(a => a.path + NEW_SUFFIX));
+    logger.warn('Rolled back an interrupted key rotation - files still use the old master key', { files: artifacts.length });
+    return 'rolled-back';
+  }
+
+  /**
+   * Keep a copy of the report next to the data (no key material)
+   */
+  writeReport(report) {
+    const timestamp = report.startedAt.replace(/[:.]/g, '-');
+    const reportPath = path.join(this.dataDir, `key-rotation-${timestamp}.json`);
+    try {
+      writeFileAtomic(reportPath, JSON.stringify(report, null, 2));
+      return reportPath;
+    } catch (error) {
+      logger.error('Failed to write key rotation report', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Human readable rotation report
+   */
+  formatReport(report) {
+    const byType = {};
+    for (const file of report.files) {
+      byType[file.type] = (byType[file.type] || 0) + 1;
+    }
+
+    const lines = [
+      `Key rotation${report.dryRun ? ' (dry run)' : ''}: ${report.error ? 'ABORTED' : report.committed ? 'complete' : 'checked'}`,
+      `  Files: ${report.files.length} (${Object.entries(byType).map(([type, n]) => `${type}: ${n}`).join(', ') || 'none'})`
+    ];
+
+    for (const file of report.files) {
+      const entries = file.type === 'log' ? ` - ${file.entries} entries` : '';
+      lines.push(`  ${file.status === 'failed' ? '❌' : '✅'} ${file.path}${entries} [${file.status}]${file.error ? ` ${file.error}` : ''}`);
+    }
+
+    if (report.error) {
+      lines.push(`  Error: ${report.error}`);
+      lines.push('  No file was changed - everything still uses the current key.');
+    }
+    if (report.reportPath) {
+      lines.push(`  Report: ${report.reportPath}`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = new KeyRotation();
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+class LinkChallengeService {
+  constructor() {
+    // Pending challenges keyed by Discord ID (one open challenge per user)
+    this.challenges = new Map();
+  }
+
+  /**
+   * Get challenge lifetime in milliseconds
+   */
+  getTtl() {
+    return config.link.challengeTtlMinutes * 60 * 1000;
+  }
+
+  /**
+   * Build the message the user has to sign
+   */
+  buildMessage(discordId, wallet, nonce, expiresAt) {
+    return [
+      'Gensyn Discord Verification',
+      '',
+      `I own ${ethers.getAddress(wallet)} and want to link it to Discord user ${discordId}.`,
+      '',
+      `Nonce: ${nonce}`,
+      `Expires: ${new Date(expiresAt).toISOString()}`
+    ].join('\n');
+  }
+
+  /**
+   * Issue a new challenge, replacing any open challenge for this user
+   * @param {string} discordId - Discord user ID
+   * @param {string} wallet - Address the user wants to link
+   * @returns {{wallet: string, nonce: string, message: string, expiresAt: number}}
+   */
+  create(discordId, wallet) {
+    this.pruneExpired();
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + this.getTtl();
+    const challenge = {
+      wallet: wallet.toLowerCase(),
+      nonce,
+      message: this.buildMessage(discordId, wallet, nonce, expiresAt),
+      expiresAt
+    };
+
+    this.challenges.set(discordId, challenge);
+    logger.debug('Link challenge issued', { discordId, wallet: challenge.wallet.substring(0, 10) + '...' });
+    return challenge;
+  }
+
+  /**
+   * Get the open challenge for a user (null if none or expired)
+   */
+  get(discordId) {
+    const challenge = this.challenges.get(discordId);
+    if (!challenge) return null;
+
+    if (Date.now() > challenge.expiresAt) {
+      this.challenges.delete(discordId);
+      return null;
+    }
+    return challenge;
+  }
+
+  /**
+   * Verify a signature against the user's open challenge
+   * The challenge is consumed when the signature is valid.
+   * @param {string} discordId - Discord user ID
+   * @param {string} wallet - Address being linked
+   * @param {string} signature - EIP-191 personal_sign signature
+   * @returns {{success: boolean, error?: string}}
+   */
+  verify(discordId, wallet, signature) {
+    const challenge = this.get(discordId);
+
+    if (!challenge) {
+      return { success: false, error: 'No pending challenge (or it expired). Run `/link` again without a signature to get a new one.' };
+    }
+
+    if (challenge.wallet !== wallet.toLowerCase()) {
+      return { success: false, error: 'This signature is for a different address than your pending challenge.' };
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(challenge.message, signature);
+    } catch (error) {
+      return { success: false, error: 'Invalid signature format.' };
+    }
+
+    if (signer.toLowerCase() !== challenge.wallet) {
+      logger.warn('Link challenge signature mismatch', { discordId, expected: challenge.wallet, signer });
+      return { success: false, error: 'Signature was not produced by this address.' };
+    }
+
+    this.challenges.delete(discordId);
+    return { success: true };
+  }
+
+  /**
+   * Drop expired challenges
+   */
+  pruneExpired() {
+    const now = Date.now();
+    for (const [discordId, challenge] of this.challenges) {
+      if (now > challenge.expiresAt) {
+        this.challenges.delete(discordId);
+      }
+    }
+  }
+}
+
+module.exports = new LinkChallengeService();
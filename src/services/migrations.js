@@ -0,0 +1,222 @@
+const applications = require('../applications');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { VERIFICATION_STATUS } = require('../config/constants');
+
+/**
+ * Ordered schema migrations for user records.
+ *
+ * Each migration upgrades a single user record in place and returns true if it
+ * changed anything. `stats` is a per-migration object for the report.
+ * Migrations must be idempotent: a crash between migrating users and storing the
+ * new schemaVersion re-runs them on the next start.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'fill-missing-fields',
+    description: 'Add fields that newer code expects on every user record',
+    migrate(user) {
+      const defaults = {
+        discordUsername: null,
+        discordTag: null,
+        linkedAt: null,
+        ownershipVerifiedAt: null,
+        lastCheckedAt: null,
+        nextCheckAt: null,
+        failureStreak: 0,
+        attempts: 0,
+        roles: [],
+        verifications: {}
+      };
+
+      let changed = false;
+      for (const [field, value] of Object.entries(defaults)) {
+        if (user[field] === undefined) {
+          user[field] = value;
+          changed = true;
+        }
+      }
+      return changed;
+    }
+  },
+  {
+    version: 2,
+    name: 'legacy-contract-verifications',
+    description: 'Convert legacy contractN verifications into per-application results',
+    migrate(user, wallet, stats) {
+      let changed = false;
+
+      for (const [contractId, verification] of Object.entries(user.verifications || {})) {
+        if (!verification?.verified) continue;
+
+        const app = findApplicationForContract(contractId);
+        if (!app) {
+          stats.unmapped = (stats.unmapped || 0) + 1;
+          continue;
+        }
+
+        if (!user.gensynVerification) {
+          user.gensynVerification = {};
+        }
+
+        // Never overwrite a result the application check already produced
+        const existing = user.gensynVerification[app.key];
+        if (existing && existing.status !== VERIFICATION_STATUS.ERROR) continue;
+
+        user.gensynVerification[app.key] = {
+          eligible: true,
+          status: VERIFICATION_STATUS.ELIGIBLE,
+          message: `${app.name}: ✅ Verified via legacy contract (${verification.txnCount || 0} txns)`,
+          source: 'legacy-contract',
+          contractId,
+          verifiedAt: verification.verifiedAt || null
+        };
+        stats.converted = (stats.converted || 0) + 1;
+        changed = true;
+      }
+
+      return changed;
+    }
+  },
+  {
+    version: 3,
+    name: 'address-history',
+    description: 'Start the address history and relink counter for /unlink and /relink',
+    migrate(user, wallet) {
+      if (user.addressHistory) return false;
+
+      user.addressHistory = [{ wallet, linkedAt: user.linkedAt || null, unlinkedAt: null, unlinkedBy: null }];
+      user.relinkCount = user.relinkCount || 0;
+      user.lastRelinkAt = user.lastRelinkAt || null;
+      return true;
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Map a legacy CONTRACT_n id to the application it proved participation in
+ * Matches the contract address against application `legacyContracts`, then the name.
+ */
+function findApplicationForContract(contractId) {
+  const contract = config.getContractById(contractId);
+  if (!contract) return null;
+
+  const address = contract.address?.toLowerCase();
+  const name = contract.name?.toLowerCase() || '';
+
+  return applications.getAll().find(app =>
+    (app.legacyContracts || []).some(a => a.toLowerCase() === address)
+  ) || applications.getAll().find(app =>
+    name && [app.name, app.displayName].some(n => n && n.toLowerCase().includes(name))
+  ) || null;
+}
+
+/**
+ * Run pending migrations against a storage adapter
+ * @param {Object} store - Storage adapter (see services/storage)
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would change
+ * @param {Function} options.backup - Called with a label before writing; must return the backup path
+ * @returns {Object} - Report: { fromVersion, toVersion, dryRun, backupPath, migrations: [...] }
+ */
+function run(store, { dryRun = false, backup = null } = {}) {
+  const storedVersion = store.getMeta('schemaVersion');
+  const userCount = store.count();
+
+  // A brand new database is created at the latest schema
+  const fromVersion = storedVersion ?? (userCount === 0 ? LATEST_VERSION : 0);
+  const pending = MIGRATIONS.filter(m => m.version > fromVersion);
+
+  const report = {
+    fromVersion,
+    toVersion: pending.length > 0 ? LATEST_VERSION : fromVersion,
+    dryRun,
+    users: userCount,
+    backupPath: null,
+    migrations: []
+  };
+
+  if (pending.length === 0) {
+    if (storedVersion === undefined && !dryRun) {
+      store.setMeta('schemaVersion', fromVersion);
+    }
+    return report;
+  }
+
+  if (!dryRun && backup) {
+    report.backupPath = backup(`pre-migration-v${fromVersion}`);
+    if (!report.backupPath) {
+      throw new Error('Backup before schema migration failed - refusing to migrate');
+    }
+  }
+
+  // Work on copies so a dry run never touches the stored records
+  const users = JSON.parse(JSON.stringify(store.all()));
+  const changedWallets = new Set();
+
+  for (const migration of pending) {
+    const stats = {};
+    let changed = 0;
+
+    for (const [wallet, user] of Object.entries(users)) {
+      if (migration.migrate(user, wallet, stats)) {
+        changed++;
+        changedWallets.add(wallet);
+      }
+    }
+
+    report.migrations.push({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      changedUsers: changed,
+      stats
+    });
+  }
+
+  if (!dryRun) {
+    for (const wallet of changedWallets) {
+      store.set(wallet, users[wallet]);
+    }
+    store.setMeta('schemaVersion', LATEST_VERSION);
+    store.flush();
+    logger.info(`Database migrated from schema v${fromVersion} to v${LATEST_VERSION}`, { changedUsers: changedWallets.size });
+  }
+
+  return report;
+}
+
+/**
+ * Human readable migration report
+ */
+function formatReport(report) {
+  const lines = [
+    `Schema migration${report.dryRun ? ' (dry run)' : ''}: v${report.fromVersion} → v${report.toVersion} (${report.users} users)`
+  ];
+
+  if (report.migrations.length === 0) {
+    lines.push('  Nothing to migrate');
+  }
+
+  for (const m of report.migrations) {
+    const stats = Object.entries(m.stats).map(([key, value]) => `${key}: ${value}`).join(', ');
+    lines.push(`  v${m.version} ${m.name}: ${m.changedUsers} user(s) ${report.dryRun ? 'would change' : 'changed'}${stats ? ` (${stats})` : ''}`);
+    lines.push(`     ${m.description}`);
+  }
+
+  if (report.backupPath) {
+    lines.push(`  Backup: ${report.backupPath}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  run,
+  formatReport
+};
@@ -0,0 +1,173 @@
+const { EmbedBuilder } = require('discord.js');
+const database = require('./database');
+const applications = require('../applications');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { VERIFICATION_STATUS, REVOCATION_POLICY, OVERRIDE_TYPE } = require('../config/constants');
+
+class RoleManager {
+  /**
+   * Apply each application's revocation policy after a verification run
+   * Only conclusive "not eligible" results can remove a role - upstream errors never do.
+   * A granted override keeps the role; a denied override removes it whatever the policy.
+   * @param {GuildMember} member - Discord guild member
+   * @param {string} wallet - Linked wallet address
+   * @param {Object} results - Results from applications.verifyAll
+   * @param {Object} overrides - Active overrides keyed by application (database.getActiveOverrides)
+   * @returns {Promise<{revoked: Array, pending: Array}>}
+   */
+  async applyRevocationPolicies(member, wallet, results, overrides = {}) {
+    const revoked = [];
+    const pending = [];
+
+    for (const app of applications.getConfigured()) {
+      const result = results[app.key];
+      const override = overrides[app.key];
+
+      if (override?.type === OVERRIDE_TYPE.DENY) {
+        if (member.roles.cache.has(app.roleId)) {
+          const revocation = await this.revokeRole(member, wallet, app, 'Denied by a moderator', override.actor);
+          if (revocation) revoked.push(revocation);
+        }
+        database.clearPendingRevocation(wallet, app.key);
+        continue;
+      }
+
+      if (override?.type === OVERRIDE_TYPE.GRANT) {
+        database.clearPendingRevocation(wallet, app.key);
+        continue;
+      }
+
+      if (!result || result.status === VERIFICATION_STATUS.ERROR) {
+        continue;
+      }
+
+      if (result.eligible || !member.roles.cache.has(app.roleId)) {
+        database.clearPendingRevocation(wallet, app.key);
+        continue;
+      }
+
+      const policy = app.revocation?.policy || REVOCATION_POLICY.KEEP;
+
+      if (policy === REVOCATION_POLICY.REVOKE) {
+        const revocation = await this.revokeRole(member, wallet, app, 'No longer eligible');
+        if (revocation) revoked.push(revocation);
+      } else if (policy === REVOCATION_POLICY.GRACE) {
+        const since = database.markPendingRevocation(wallet, app.key);
+        const revokeAt = new Date(new Date(since).getTime() + app.revocation.graceHours * 60 * 60 * 1000);
+
+        if (Date.now() >= revokeAt.getTime()) {
+          const revocation = await this.revokeRole(
+            member, wallet, app, `No longer eligible (grace period of ${app.revocation.graceHours}h expired)`
+          );
+          if (revocation) revoked.push(revocation);
+        } else {
+          pending.push({ application: app.key, name: app.name, revokeAt });
+        }
+      }
+    }
+
+    if (revoked.length > 0) {
+      await this.sendRevocationLog(member, wallet, revoked);
+    }
+
+    return { revoked, pending };
+  }
+
+  /**
+   * Revoke every application role that is not kept forever
+   * Used when a wallet is unlinked or replaced. Roles granted by a moderator are kept.
+   * @param {GuildMember} member - Discord guild member
+   * @param {string} wallet - Wallet address being removed
+   * @param {string} reason - Why the roles are removed
+   * @param {string} actor - Who triggered the removal (optional)
+   * @param {Object} overrides - Active overrides keyed by application (database.getActiveOverrides)
+   * @returns {Promise<Array>} - Revoked roles
+   */
+  async revokeAllRoles(member, wallet, reason, actor = null, overrides = {}) {
+    const revoked = [];
+
+    for (const app of applications.getConfigured()) {
+      const policy = app.revocation?.policy || REVOCATION_POLICY.KEEP;
+      if (policy === REVOCATION_POLICY.KEEP || !member.roles.cache.has(app.roleId)) {
+        continue;
+      }
+      if (overrides[app.key]?.type === OVERRIDE_TYPE.GRANT) {
+        continue;
+      }
+
+      const revocation = await this.revokeRole(member, wallet, app, reason, actor);
+      if (revocation) revoked.push(revocation);
+    }
+
+    if (revoked.length > 0) {
+      await this.sendRevocationLog(member, wallet, revoked, actor);
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Remove a single application role and record it
+   * @returns {Promise<Object|null>} - Revocation record, or null if removal failed
+   */
+  async revokeRole(member, wallet, app, reason, actor = null) {
+    const role = member.guild.roles.cache.get(app.roleId);
+
+    try {
+      await member.roles.remove(app.roleId, reason);
+    } catch (error) {
+      logger.error('Failed to revoke role', { error: error.message, app: app.name, discordId: member.id });
+      return null;
+    }
+
+    const revocation = {
+      application: app.key,
+      roleId: app.roleId,
+      roleName: role?.name || app.name,
+      reason,
+      actor
+    };
+
+    database.recordRevocation(wallet, revocation);
+    console.log(`[${new Date().toISOString()}] 🔻 REVOKED | Discord: ${member.user.username} (${member.id}) | Address: ${wallet.substring(0, 10)}...${wallet.slice(-4)} | App: ${app.name} | Reason: ${reason}`);
+
+    return revocation;
+  }
+
+  /**
+   * Post revoked roles to the log channel so moderators can see why a role disappeared
+   */
+  async sendRevocationLog(member, wallet, revoked, actor = null) {
+    if (!config.discord.logChannelId) return;
+
+    try {
+      const logChannel = member.guild.channels.cache.get(config.discord.logChannelId);
+      if (!logChannel) return;
+
+      const embed = new EmbedBuilder()
+        .setTitle('🔻 Roles Revoked')
+        .setColor(0xe67e22)
+        .addFields(
+          { name: '👤 User', value: `${member.user.tag} (${member.id})`, inline: true },
+          { name: '🔗 Address', value: `\`${wallet.substring(0, 10)}...${wallet.slice(-4)}\``, inline: true },
+          {
+            name: '🎭 Revoked',
+            value: revoked.map(r => `**${r.roleName}**: ${r.reason}`).join('\n'),
+            inline: false
+          }
+        )
+        .setTimestamp();
+
+      if (actor) {
+        embed.addFields({ name: '👮 By', value: actor, inline: true });
+      }
+
+      await logChannel.send({ embeds: [embed] });
+    } catch (error) {
+      logger.error('Failed to send revocation log', { error: error.message });
+    }
+  }
+}
+
+module.exports = new RoleManager();
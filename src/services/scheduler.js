@@ -0,0 +1,174 @@
+const fs = require('fs');
+const database = require('./database');
+const applications = require('../applications');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Decides which users the auto-verify worker checks on each run.
+ *
+ * Users are ordered by lastCheckedAt (never-checked users first) and each run
+ * resumes after the cursor left by the previous run, so a capped run never
+ * starves the rest of the user base. Every check stores the user's nextCheckAt:
+ * fully verified users and users that keep failing are checked less often.
+ */
+class AutoVerifyScheduler {
+  constructor() {
+    this.statePath = config.autoVerify.statePath;
+    this.state = { cursor: null, updatedAt: null };
+    this.loadState();
+  }
+
+  loadState() {
+    if (!fs.existsSync(this.statePath)) return;
+
+    try {
+      this.state = { ...this.state, ...JSON.parse(fs.readFileSync(this.statePath, 'utf8')) };
+    } catch (error) {
+      logger.warn('Failed to load scheduler state, starting from the beginning', { error: error.message });
+    }
+  }
+
+  saveState() {
+    try {
+      this.state.updatedAt = new Date().toISOString();
+      writeFileAtomic(this.statePath, JSON.stringify(this.state, null, 2));
+    } catch (error) {
+      logger.error('Failed to save scheduler state', { error: error.message });
+    }
+  }
+
+  /**
+   * Sort key: never-checked users first (oldest link first), then least recently checked
+   */
+  sortKey(userData) {
+    return {
+      checkedAt: userData.lastCheckedAt || '',
+      tiebreak: userData.lastCheckedAt ? userData.wallet : `${userData.linkedAt || ''}|${userData.wallet}`
+    };
+  }
+
+  compareKeys(a, b) {
+    if (a.checkedAt !== b.checkedAt) return a.checkedAt < b.checkedAt ? -1 : 1;
+    if (a.tiebreak !== b.tiebreak) return a.tiebreak < b.tiebreak ? -1 : 1;
+    return 0;
+  }
+
+  isDue(userData, now = Date.now()) {
+    return !userData.nextCheckAt || new Date(userData.nextCheckAt).getTime() <= now;
+  }
+
+  /**
+   * Pick the users for the next run
+   * @param {number} limit - Maximum users to check in this run
+   * @returns {Array} - User records (with wallet) in check order
+   */
+  selectBatch(limit = config.autoVerify.maxBatchSize) {
+    const now = Date.now();
+    const due = database.getUsersForAutoVerify()
+      .filter(userData => this.isDue(userData, now))
+      .map(userData => ({ userData, key: this.sortKey(userData) }))
+      .sort((a, b) => this.compareKeys(a.key, b.key));
+
+    const cursor = this.state.cursor;
+    const fresh = due.filter(entry => !entry.userData.lastCheckedAt);
+    const checked = due.filter(entry => entry.userData.lastCheckedAt);
+
+    // Resume after the cursor, wrapping around to the start once the end is reached
+    let ordered = checked;
+    if (cursor) {
+      const after = checked.filter(entry => this.compareKeys(entry.key, cursor) > 0);
+      const before = checked.filter(entry => this.compareKeys(entry.key, cursor) <= 0);
+      ordered = [...after, ...before];
+    }
+
+    const batch = [...fresh, ...ordered].slice(0, limit);
+
+    if (batch.length === due.length) {
+      // Everyone due fits in this run - start the next one from the top
+      this.state.cursor = null;
+    } else {
+      // The cursor only moves through already-checked users; new users are always picked first
+      const lastChecked = batch.filter(entry => entry.userData.lastCheckedAt).pop();
+      if (lastChecked) this.state.cursor = lastChecked.key;
+    }
+    this.saveState();
+
+    logger.debug('Auto-verify batch selected', {
+      due: due.length,
+      selected: batch.length,
+      newUsers: Math.min(fresh.length, batch.length)
+    });
+
+    return batch.map(entry => entry.userData);
+  }
+
+  /**
+   * Store when the user should be checked next, based on the verification outcome
+   * @param {Object} userData - User record (with wallet)
+   * @param {Object} outcome - Outcome from verification.verifyUser
+   * @returns {string} - ISO timestamp of the next check
+   */
+  recordOutcome(userData, outcome) {
+    const total = applications.getConfigured().length;
+    const eligible = outcome.newlyVerified.length + outcome.alreadyVerified.length;
+    let streak = userData.failureStreak || 0;
+    let delayMs;
+
+    if (total > 0 && eligible === total) {
+      // Fully verified - only recheck occasionally (revocation policies still need fresh results)
+      streak = 0;
+      delayMs = config.autoVerify.verifiedIntervalHours * HOUR_MS;
+    } else if (outcome.newlyVerified.some(v => v.isNew)) {
+      // Progress - keep checking on the normal interval
+      streak = 0;
+      delayMs = this.baseInterval();
+    } else if (outcome.unchecked.length > 0) {
+      // Upstream error says nothing about the user - retry soon without growing the backoff
+      delayMs = this.baseInterval();
+    } else {
+      streak++;
+      delayMs = this.backoff(streak);
+    }
+
+    return this.schedule(userData, delayMs, streak);
+  }
+
+  /**
+   * Back off a user whose check threw (e.g. invalid address)
+   */
+  recordError(userData) {
+    const streak = (userData.failureStreak || 0) + 1;
+    return this.schedule(userData, this.backoff(streak), streak);
+  }
+
+  /**
+   * Skip a blocked user until the longest backoff (rechecked in case they are unblocked)
+   */
+  recordBlocked(userData) {
+    return this.schedule(userData, config.autoVerify.maxBackoffHours * HOUR_MS, userData.failureStreak || 0);
+  }
+
+  baseInterval() {
+    return config.autoVerify.intervalMinutes * 60 * 1000;
+  }
+
+  /**
+   * Exponential backoff: base interval doubled per consecutive failure, capped
+   */
+  backoff(streak) {
+    const delayMs = this.baseInterval() * Math.pow(2, Math.max(0, streak - 1));
+    return Math.min(delayMs, config.autoVerify.maxBackoffHours * HOUR_MS);
+  }
+
+  schedule(userData, delayMs, streak) {
+    const nextCheckAt = new Date(Date.now() + delayMs).toISOString();
+    database.scheduleNextCheck(userData.wallet, nextCheckAt, streak);
+    return nextCheckAt;
+  }
+}
+
+module.exports = new AutoVerifyScheduler();
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const security = require('../utils/security');
+const database = require('./database');
+const auditLog = require('./auditLog');
+const keyRotation = require('./keyRotation');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+/**
+ * Locked mode for the master key.
+ *
+ * When security locks (admin inactivity or /admin security lock) the key is dropped
+ * from memory. The bot keeps running on its in-memory data: /link, /relink, /unlink,
+ * /verify and the auto-verify worker pause, admin changes queue up until the next
+ * unlock, and backups, restores and exports are refused.
+ * Unlocking works from the console prompt or with a time-limited token created by
+ * `npm run security:unlock-token` for the pending unlock request.
+ * Master key rotation from /admin security rotate also runs through here.
+ */
+class SecurityLock {
+  constructor() {
+    this.requestPath = config.security.unlockRequestPath;
+    this.prompting = false;
+  }
+
+  /**
+   * Hook into SecurityService events (call before security.initialize)
+   */
+  start() {
+    security.configureAutoLock(config.security.autoLockTimeout);
+    security.on('lock', event => this.onLock(event));
+    security.on('unlock', event => this.onUnlock(event));
+
+    // A request left behind by a previous run belongs to a key pair that no longer exists
+    this.removeUnlockRequest();
+  }
+
+  onLock({ reason, actor }) {
+    auditLog.record({ actor, action: 'security.lock', params: { reason } });
+
+    try {
+      writeFileAtomic(this.requestPath, security.createUnlockRequest());
+    } catch (error) {
+      logger.error('Failed to write unlock request', { error: error.message });
+    }
+
+    logger.warn('🔒 Security locked - database changes are kept in memory until unlocked', { reason });
+    this.promptUnlock();
+  }
+
+  onUnlock({ source, actor }) {
+    auditLog.record({ actor, action: 'security.unlock', params: { source } });
+    this.removeUnlockRequest();
+    database.onUnlock();
+  }
+
+  removeUnlockRequest() {
+    try {
+      if (fs.existsSync(this.requestPath)) {
+        fs.unlinkSync(this.requestPath);
+      }
+    } catch (error) {
+      logger.error('Failed to remove unlock request', { error: error.message });
+    }
+  }
+
+  /**
+   * Ask for the master password on the console until unlocked (interactive terminals only)
+   */
+  async promptUnlock() {
+    if (this.prompting || !process.stdin.isTTY) return;
+    this.prompting = true;
+
+    console.log('🔐 Enter the master password to unlock (or use /admin security unlock)');
+    try {
+      while (!security.isUnlocked()) {
+        const password = await security.promptPassword();
+        // Unlocked with a token while the prompt was open
+        if (password === null || security.isUnlocked()) break;
+
+        if (!this.unlockWithPassword(password, 'console')) {
+          console.log('❌ Incorrect password.');
+        }
+      }
+    } finally {
+      this.prompting = false;
+      process.stdin.pause();
+    }
+  }
+
+  /**
+   * Unlock with the master password
+   * @returns {boolean} - True if unlocked
+   */
+  unlockWithPassword(password, actor) {
+    if (!security.verifyPassword(password)) {
+      auditLog.record({ actor, action: 'security.unlock', params: { source: 'console' }, outcome: 'failure', error: 'Incorrect password' });
+      return false;
+    }
+
+    security.unlockWithKey(security.deriveMasterKey(password), password, { source: 'console', actor });
+    return true;
+  }
+
+  /**
+   * Unlock with a token from npm run security:unlock-token
+   * @throws {Error} - If the token is rejected
+   */
+  unlockWithToken(token, actor) {
+    try {
+      security.unlockWithToken(token.trim(), actor);
+    } catch (error) {
+      auditLog.record({ actor, action: 'security.unlock', params: { source: 'token' }, outcome: 'failure', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Lock now
+   * @returns {boolean} - False if already locked
+   */
+  lock(actor) {
+    return security.lock('manual', actor);
+  }
+
+  /**
+   * Re-encrypt every protected file with a new key and switch the running bot to it
+   * @param {Buffer} newKey - New derived key
+   * @param {string} actor - Who requested the rotation
+   * @param {Object} options - { dryRun }
+   * @returns {Object} - Rotation report (see keyRotation.rotate)
+   */
+  rotateKey(newKey, actor, { dryRun = false } = {}) {
+    if (!config.isEncryptionEnabled()) {
+      throw new Error('Encryption is not enabled - there is no key to rotate');
+    }
+    database.requireUnlocked('key rotation');
+    if (security.verifyKey(newKey)) {
+      throw new Error('The new key is the same as the current key');
+    }
+
+    // Pending changes are written with the old key first so they are rotated too
+    database.flush();
+    const report = keyRotation.rotate(security.createCipher(), security.createCipher(newKey), { dryRun });
+    if (report.committed) {
+      security.replaceKey(newKey);
+    }
+
+    auditLog.record({
+      actor,
+      action: 'security.rotate',
+      params: { dryRun, files: report.files.length, report: report.reportPath || null },
+      outcome: report.error ? 'failure' : 'success',
+      error: report.error
+    });
+    return report;
+  }
+
+  getStatus() {
+    return {
+      enabled: config.isSecurityEnabled(),
+      unlocked: security.isUnlocked(),
+      autoLockMinutes: config.security.autoLockTimeout,
+      lastActivity: new Date(security.lastActivity),
+      pendingLogLines: database.pendingLogLines.length,
+      pendingWrites: database.isOpen() && database.store.hasPendingWrites(),
+      requestPath: this.requestPath
+    };
+  }
+}
+
+module.exports = new SecurityLock();
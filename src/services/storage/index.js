@@ -0,0 +1,59 @@
+const JsonStore = require('./jsonStore');
+const SqliteStore = require('./sqliteStore');
+
+/**
+ * Storage adapters used by the Database service.
+ *
+ * Every adapter implements the same synchronous interface:
+ *   load()                        - open/read the store (throws if unreadable)
+ *   get(wallet)                   - user object or null
+ *   getWalletsByDiscordId(id)     - every wallet linked to a Discord user, in link order
+ *   set(wallet, user)             - insert or replace a user
+ *   delete(wallet)                - remove a user (true if removed)
+ *   all()                         - { wallet: user } for every user
+ *   count()                       - number of users
+ *   replaceAll(data, meta)        - replace every user and all metadata (restore/import)
+ *   getMeta(key) / setMeta(key, value) / allMeta()
+ *                                 - database metadata such as schemaVersion
+ *   appendEvent(event)            - store a log event ({ type, wallet, discordId, ... })
+ *   flush() / close()             - persist pending writes / release the store
+ *   hasPendingWrites()            - true while changes wait to be written (e.g. security locked)
+ *
+ * Wallets are always lowercase.
+ */
+const BACKENDS = {
+  json: (databaseConfig, cipher, readOnly) => new JsonStore({
+    path: databaseConfig.path,
+    writeDebounceMs: databaseConfig.writeDebounceMs,
+    cipher,
+    readOnly
+  }),
+  sqlite: (databaseConfig, cipher, readOnly) => {
+    // Rows are stored in plaintext - never pretend they are protected
+    if (cipher) {
+      throw new Error('The SQLite backend does not support encryption at rest (set ENCRYPTION_ENABLED=false or use DB_BACKEND=json)');
+    }
+    return new SqliteStore({ path: databaseConfig.sqlitePath, readOnly });
+  }
+};
+
+/**
+ * Create the storage adapter for the configured backend
+ * @param {Object} databaseConfig - config.database
+ * @param {Object} cipher - At-rest cipher from SecurityService.createCipher (JSON backend only - SQLite refuses one)
+ * @param {Object} options - { readOnly: open an existing store without writing to it }
+ */
+function createStore(databaseConfig, cipher = null, { readOnly = false } = {}) {
+  const factory = BACKENDS[databaseConfig.backend];
+  if (!factory) {
+    throw new Error(`Unknown database backend "${databaseConfig.backend}" (expected: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return factory(databaseConfig, cipher, readOnly);
+}
+
+module.exports = {
+  createStore,
+  JsonStore,
+  SqliteStore,
+  BACKENDS: Object.keys(BACKENDS)
+};
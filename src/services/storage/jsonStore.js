@@ -0,0 +1,251 @@
+const fs = require('fs');
+const { writeFileAtomic } = require('../../utils/atomicFile');
+const logger = require('../../utils/logger');
+
+// Reserved top-level key holding database metadata (schemaVersion, ...)
+const META_KEY = '_meta';
+
+// Prefix written by SecurityService.encryptWithKey
+const ENCRYPTED_PREFIX = 'GENC1:';
+
+// Wait before retrying a debounced write that failed (disk full, permissions)
+const RETRY_DELAY_MS = 5000;
+
+/**
+ * Storage adapter backed by a single JSON file (users keyed by wallet).
+ * Everything is kept in memory; writes are debounced and atomic.
+ * With a cipher the file is encrypted at rest; plaintext files are read and re-written encrypted.
+ */
+class JsonStore {
+  constructor({ path, writeDebounceMs = 500, cipher = null, readOnly = false }) {
+    this.name = 'json';
+    this.path = path;
+    this.readOnly = readOnly; // never writes the file (e.g. migration dry runs)
+    this.writeDebounceMs = writeDebounceMs;
+    this.cipher = cipher;
+    this.loaded = false;
+    this.migratedPlaintext = false;
+    this.data = {};
+    this.meta = {};
+    this.discordIndex = new Map();
+    this.dirty = false;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Read and validate a users JSON file (database or backup)
+   * @param {string} filePath - File to read
+   * @param {Object} cipher - At-rest cipher (required for encrypted files)
+   * @returns {{users: Object, meta: Object, encrypted: boolean}}
+   * @throws {Error} - If the file is not a valid users object
+   */
+  static readFile(filePath, cipher = null) {
+    let content = fs.readFileSync(filePath, 'utf8');
+    const encrypted = content.startsWith(ENCRYPTED_PREFIX);
+
+    if (encrypted) {
+      if (!cipher) {
+        throw Object.assign(new Error('File is encrypted - unlock with the master password first'), { code: 'ENCRYPTED' });
+      }
+      try {
+        content = cipher.decrypt(content);
+      } catch (error) {
+        throw Object.assign(error, { code: error.code || 'DECRYPT_FAILED' });
+      }
+    }
+
+    const data = JSON.parse(content);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Database file does not contain a users object');
+    }
+
+    const { [META_KEY]: meta = {}, ...users } = data;
+    return { users, meta, encrypted };
+  }
+
+  /**
+   * Atomically write users and metadata (encrypted when a cipher is given)
+   */
+  static writeFile(filePath, users, meta, cipher = null) {
+    const content = JsonStore.serialize(users, meta);
+    writeFileAtomic(filePath, cipher ? cipher.encrypt(content) : content);
+  }
+
+  /**
+   * Serialize users and metadata into the file format
+   */
+  static serialize(users, meta) {
+    return JSON.stringify({ [META_KEY]: meta, ...users }, null, 2);
+  }
+
+  /**
+   * Load the file (a missing file starts an empty database)
+   * @throws {Error} - If the file exists but cannot be parsed
+   */
+  load() {
+    this.loaded = true;
+
+    if (fs.existsSync(this.path)) {
+      const { users, meta, encrypted } = JsonStore.readFile(this.path, this.cipher);
+      this.data = users;
+      this.meta = meta;
+
+      // First start with encryption enabled - rewrite the plaintext file encrypted
+      if (this.cipher && !encrypted && !this.readOnly) {
+        this.migratedPlaintext = true;
+        this.dirty = true;
+        this.flush();
+      }
+    } else {
+      this.data = {};
+      this.dirty = !this.readOnly;
+      this.flush();
+    }
+    this.rebuildIndex();
+  }
+
+  rebuildIndex() {
+    this.discordIndex.clear();
+    for (const [wallet, user] of Object.entries(this.data)) {
+      this.addToIndex(user.discordId, wallet);
+    }
+  }
+
+  addToIndex(discordId, wallet) {
+    const wallets = this.discordIndex.get(discordId) || [];
+    if (!wallets.includes(wallet)) {
+      this.discordIndex.set(discordId, [...wallets, wallet]);
+    }
+  }
+
+  removeFromIndex(discordId, wallet) {
+    const wallets = (this.discordIndex.get(discordId) || []).filter(w => w !== wallet);
+    if (wallets.length > 0) {
+      this.discordIndex.set(discordId, wallets);
+    } else {
+      this.discordIndex.delete(discordId);
+    }
+  }
+
+  get(wallet) {
+    return this.data[wallet] || null;
+  }
+
+  getWalletsByDiscordId(discordId) {
+    return [...(this.discordIndex.get(discordId) || [])];
+  }
+
+  set(wallet, user) {
+    const previous = this.data[wallet];
+    if (previous && previous.discordId !== user.discordId) {
+      this.removeFromIndex(previous.discordId, wallet);
+    }
+
+    this.data[wallet] = user;
+    this.addToIndex(user.discordId, wallet);
+    this.save();
+  }
+
+  delete(wallet) {
+    const user = this.data[wallet];
+    if (!user) return false;
+
+    delete this.data[wallet];
+    this.removeFromIndex(user.discordId, wallet);
+    this.save();
+    return true;
+  }
+
+  all() {
+    return this.data;
+  }
+
+  count() {
+    return Object.keys(this.data).length;
+  }
+
+  replaceAll(data, meta = {}) {
+    this.data = data;
+    this.meta = meta;
+    this.rebuildIndex();
+    this.save();
+    this.flush();
+  }
+
+  getMeta(key) {
+    return this.meta[key];
+  }
+
+  setMeta(key, value) {
+    this.meta[key] = value;
+    this.save();
+  }
+
+  allMeta() {
+    return { ...this.meta };
+  }
+
+  appendEvent() {
+    // The JSON backend keeps its event history in the text logs only
+  }
+
+  /**
+   * Mark the file dirty and write it after a short debounce
+   * Bursts of changes (e.g. an auto-verify batch) are coalesced into one write.
+   */
+  save() {
+    this.dirty = true;
+    this.scheduleFlush(this.writeDebounceMs);
+  }
+
+  scheduleFlush(delayMs) {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => this.flushInBackground(), delayMs);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Debounced write - a failure is logged and retried instead of crashing the bot.
+   * The changes stay in memory (dirty) until a write succeeds; only explicit
+   * flush() callers (shutdown, restore, migrations) get the error.
+   */
+  flushInBackground() {
+    this.saveTimer = null;
+    try {
+      this.flush();
+    } catch (error) {
+      logger.error(`Failed to write database, retrying in ${RETRY_DELAY_MS / 1000}s`, { path: this.path, error: error.message });
+      this.scheduleFlush(RETRY_DELAY_MS);
+    }
+  }
+
+  /**
+   * Write pending changes to disk immediately
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.dirty || !this.loaded || this.readOnly) return;
+    // Security is locked - the changes stay in memory and are written once unlocked
+    if (this.cipher?.isLocked()) return;
+
+    JsonStore.writeFile(this.path, this.data, this.meta, this.cipher);
+    this.dirty = false;
+  }
+
+  /**
+   * Whether changes are waiting to be written
+   */
+  hasPendingWrites() {
+    return this.dirty;
+  }
+
+  close() {
+    this.flush();
+  }
+}
+
+module.exports = JsonStore;
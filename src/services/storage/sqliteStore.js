@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    wallet TEXT PRIMARY KEY,
+    discord_id TEXT NOT NULL,
+    discord_username TEXT,
+    discord_tag TEXT,
+    linked_at TEXT,
+    last_checked_at TEXT,
+    next_check_at TEXT,
+    data TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE INDEX IF NOT EXISTS idx_users_discord_id ON users(discord_id);
+  CREATE INDEX IF NOT EXISTS idx_users_last_checked_at ON users(last_checked_at);
+
+  CREATE TABLE IF NOT EXISTS verifications (
+    wallet TEXT NOT NULL REFERENCES users(wallet) ON DELETE CASCADE,
+    contract_id TEXT NOT NULL,
+    verified INTEGER NOT NULL DEFAULT 0,
+    tx_hash TEXT,
+    block_number INTEGER,
+    txn_count INTEGER NOT NULL DEFAULT 0,
+    verified_at TEXT,
+    PRIMARY KEY (wallet, contract_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS role_grants (
+    wallet TEXT NOT NULL REFERENCES users(wallet) ON DELETE CASCADE,
+    role_id TEXT NOT NULL,
+    granted_at TEXT NOT NULL,
+    PRIMARY KEY (wallet, role_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS log_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    wallet TEXT,
+    discord_id TEXT,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_log_events_type ON log_events(type, created_at);
+  CREATE INDEX IF NOT EXISTS idx_log_events_wallet ON log_events(wallet);
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+// User fields stored in their own columns/tables; everything else goes into users.data
+const COLUMN_FIELDS = ['discordId', 'discordUsername', 'discordTag', 'linkedAt', 'lastCheckedAt', 'nextCheckAt', 'verifications', 'roles'];
+
+/**
+ * Storage adapter backed by SQLite (better-sqlite3).
+ * Users are looked up through indexed wallet/discord_id columns instead of being
+ * scanned in memory; legacy contract verifications, role grants and log events
+ * live in their own tables.
+ */
+class SqliteStore {
+  constructor({ path: dbPath, readOnly = false }) {
+    this.name = 'sqlite';
+    this.path = dbPath;
+    this.readOnly = readOnly;
+    this.db = null;
+  }
+
+  load() {
+    let Sqlite;
+    try {
+      Sqlite = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The SQLite backend requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    // Inspect an existing database without creating or changing anything
+    if (this.readOnly) {
+      this.db = new Sqlite(this.path, { readonly: true, fileMustExist: true });
+      this.prepareStatements();
+      return;
+    }
+
+    const dir = path.dirname(this.path);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Sqlite(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this.prepareStatements();
+  }
+
+  prepareStatements() {
+    this.statements = {
+      getUser: this.db.prepare('SELECT * FROM users WHERE wallet = ?'),
+      getWallets: this.db.prepare('SELECT wallet FROM users WHERE discord_id = ? ORDER BY rowid'),
+      allUsers: this.db.prepare('SELECT * FROM users ORDER BY rowid'),
+      countUsers: this.db.prepare('SELECT COUNT(*) AS count FROM users'),
+      upsertUser: this.db.prepare(`
+        INSERT INTO users (wallet, discord_id, discord_username, discord_tag, linked_at, last_checked_at, next_check_at, data)
+        VALUES (@wallet, @discordId, @discordUsername, @discordTag, @linkedAt, @lastCheckedAt, @nextCheckAt, @data)
+        ON CONFLICT(wallet) DO UPDATE SET
+          discord_id = excluded.discord_id,
+          discord_username = excluded.discord_username,
+          discord_tag = excluded.discord_tag,
+          linked_at = excluded.linked_at,
+          last_checked_at = excluded.last_checked_at,
+          next_check_at = excluded.next_check_at,
+          data = excluded.data
+      `),
+      deleteUser: this.db.prepare('DELETE FROM users WHERE wallet = ?'),
+      deleteAllUsers: this.db.prepare('DELETE FROM users'),
+      getVerifications: this.db.prepare('SELECT * FROM verifications WHERE wallet = ?'),
+      allVerifications: this.db.prepare('SELECT * FROM verifications'),
+      deleteVerifications: this.db.prepare('DELETE FROM verifications WHERE wallet = ?'),
+      insertVerification: this.db.prepare(`
+        INSERT INTO verifications (wallet, contract_id, verified, tx_hash, block_number, txn_count, verified_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `),
+      getRoles: this.db.prepare('SELECT role_id FROM role_grants WHERE wallet = ? ORDER BY granted_at, rowid'),
+      allRoles: this.db.prepare('SELECT wallet, role_id FROM role_grants ORDER BY granted_at, rowid'),
+      getRoleIds: this.db.prepare('SELECT role_id FROM role_grants WHERE wallet = ?'),
+      deleteRole: this.db.prepare('DELETE FROM role_grants WHERE wallet = ? AND role_id = ?'),
+      insertRole: this.db.prepare('INSERT OR IGNORE INTO role_grants (wallet, role_id, granted_at) VALUES (?, ?, ?)'),
+      getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+      allMeta: this.db.prepare('SELECT key, value FROM meta'),
+      setMeta: this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+      deleteAllMeta: this.db.prepare('DELETE FROM meta'),
+      insertEvent: this.db.prepare(`
+        INSERT INTO log_events (type, wallet, discord_id, data, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `)
+    };
+
+    this.setUser = this.db.transaction((wallet, user) => this.writeUser(wallet, user));
+    this.replaceUsers = this.db.transaction((data, meta) => {
+      this.statements.deleteAllUsers.run();
+      for (const [wallet, user] of Object.entries(data)) {
+        this.writeUser(wallet, user);
+      }
+
+      this.statements.deleteAllMeta.run();
+      for (const [key, value] of Object.entries(meta)) {
+        this.statements.setMeta.run(key, JSON.stringify(value));
+      }
+    });
+  }
+
+  /**
+   * Rebuild the user object the Database service works with
+   */
+  toUser(row, verificationRows, roleIds) {
+    const verifications = {};
+    for (const v of verificationRows) {
+      verifications[v.contract_id] = {
+        verified: v.verified === 1,
+        txHash: v.tx_hash,
+        blockNumber: v.block_number,
+        txnCount: v.txn_count,
+        verifiedAt: v.verified_at
+      };
+    }
+
+    return {
+      discordId: row.discord_id,
+      discordUsername: row.discord_username,
+      discordTag: row.discord_tag,
+      linkedAt: row.linked_at,
+      lastCheckedAt: row.last_checked_at,
+      nextCheckAt: row.next_check_at,
+      ...JSON.parse(row.data),
+      roles: roleIds,
+      verifications
+    };
+  }
+
+  writeUser(wallet, user) {
+    const data = {};
+    for (const [key, value] of Object.entries(user)) {
+      if (!COLUMN_FIELDS.includes(key)) data[key] = value;
+    }
+
+    this.statements.upsertUser.run({
+      wallet,
+      discordId: user.discordId,
+      discordUsername: user.discordUsername || null,
+      discordTag: user.discordTag || null,
+      linkedAt: user.linkedAt || null,
+      lastCheckedAt: user.lastCheckedAt || null,
+      nextCheckAt: user.nextCheckAt || null,
+      data: JSON.stringify(data)
+    });
+
+    this.statements.deleteVerifications.run(wallet);
+    for (const [contractId, v] of Object.entries(user.verifications || {})) {
+      this.statements.insertVerification.run(
+        wallet, contractId, v.verified ? 1 : 0, v.txHash || null, v.blockNumber ?? null, v.txnCount || 0, v.verifiedAt || null
+      );
+    }
+
+    // Keep the original grant time of roles that are still held
+    const roles = user.roles || [];
+    for (const { role_id: roleId } of this.statements.getRoleIds.all(wallet)) {
+      if (!roles.includes(roleId)) this.statements.deleteRole.run(wallet, roleId);
+    }
+    const now = new Date().toISOString();
+    for (const roleId of roles) {
+      this.statements.insertRole.run(wallet, roleId, now);
+    }
+  }
+
+  get(wallet) {
+    const row = this.statements.getUser.get(wallet);
+    if (!row) return null;
+
+    const roleIds = this.statements.getRoles.all(wallet).map(r => r.role_id);
+    return this.toUser(row, this.statements.getVerifications.all(wallet), roleIds);
+  }
+
+  getWalletsByDiscordId(discordId) {
+    return this.statements.getWallets.all(discordId).map(row => row.wallet);
+  }
+
+  set(wallet, user) {
+    this.setUser(wallet, user);
+  }
+
+  delete(wallet) {
+    return this.statements.deleteUser.run(wallet).changes > 0;
+  }
+
+  all() {
+    const verifications = new Map();
+    for (const v of this.statements.allVerifications.all()) {
+      if (!verifications.has(v.wallet)) verifications.set(v.wallet, []);
+      verifications.get(v.wallet).push(v);
+    }
+
+    const roles = new Map();
+    for (const r of this.statements.allRoles.all()) {
+      if (!roles.has(r.wallet)) roles.set(r.wallet, []);
+      roles.get(r.wallet).push(r.role_id);
+    }
+
+    const data = {};
+    for (const row of this.statements.allUsers.all()) {
+      data[row.wallet] = this.toUser(row, verifications.get(row.wallet) || [], roles.get(row.wallet) || []);
+    }
+    return data;
+  }
+
+  count() {
+    return this.statements.countUsers.get().count;
+  }
+
+  replaceAll(data, meta = {}) {
+    this.replaceUsers(data, meta);
+  }
+
+  getMeta(key) {
+    const row = this.statements.getMeta.get(key);
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  setMeta(key, value) {
+    this.statements.setMeta.run(key, JSON.stringify(value));
+  }
+
+  allMeta() {
+    const meta = {};
+    for (const row of this.statements.allMeta.all()) {
+      meta[row.key] = JSON.parse(row.value);
+    }
+    return meta;
+  }
+
+  /**
+   * Store a log event (failed/successful verification, revocation, ...)
+   * @param {Object} event - { type, wallet, discordId, ...details }
+   */
+  appendEvent(event) {
+    const { type, wallet = null, discordId = null, ...details } = event;
+    this.statements.insertEvent.run(type, wallet, discordId, JSON.stringify(details), new Date().toISOString());
+  }
+
+  flush() {
+    // Every write is committed immediately
+  }
+
+  hasPendingWrites() {
+    return false;
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteStore;
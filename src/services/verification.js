@@ -0,0 +1,278 @@
+const database = require('./database');
+const explorerApi = require('./explorerApi');
+const roleManager = require('./roleManager');
+const scheduler = require('./scheduler');
+const applications = require('../applications');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { VERIFICATION_STATUS, REASON_CODE, OVERRIDE_TYPE } = require('../config/constants');
+
+/**
+ * Numeric values reported by an application check (participation, wins, ...)
+ */
+function getMetrics(result) {
+  const metrics = {};
+  for (const [name, value] of Object.entries(result)) {
+    if (typeof value === 'number') metrics[name] = value;
+  }
+  return metrics;
+}
+
+/**
+ * Shared verification flow used by /verify and the auto-verify worker:
+ * check every application, save results, assign roles and apply revocation policies.
+ * Every address a member linked is checked and the results are combined per application
+ * (applications.aggregate); roles, overrides and scheduling live on the primary record.
+ * Moderator overrides (/admin grant, /admin deny) win over the check results.
+ */
+class VerificationService {
+  /**
+   * Verify a linked user and sync their application roles
+   * @param {Object} userData - User record of any of the member's addresses (must include wallet and discordId)
+   * @param {GuildMember|null} member - Guild member; role changes are skipped when null
+   * @param {Object} options
+   * @param {string} options.source - Who triggered the check ('command', 'worker' or 'admin')
+   * @param {boolean} options.includeLegacy - Also check legacy CONTRACT_n configuration
+   * @returns {Promise<Object>} - Outcome grouped by application state
+   */
+  async verifyUser(userData, member, { source = 'command', includeLegacy = false } = {}) {
+    const discordId = userData.discordId;
+    const linked = database.getUserAddresses(discordId);
+    const addresses = linked.length > 0 ? linked : [userData];
+    const primary = addresses[0];
+    const wallet = primary.wallet;
+    const username = member?.user.username || userData.discordUsername || 'Unknown';
+    const addressLabel = `${wallet.substring(0, 10)}...${wallet.slice(-4)}${addresses.length > 1 ? ` +${addresses.length - 1}` : ''}`;
+    const logPrefix = `Discord: ${username} (${discordId}) | Address: ${addressLabel}`;
+
+    // Verify all registered applications for every linked address and save each result
+    const perAddress = [];
+    for (const address of addresses) {
+      const addressResults = await applications.verifyAll(address.wallet);
+      database.saveGensynVerification(address.wallet, addressResults);
+      perAddress.push({ wallet: address.wallet, results: addressResults });
+    }
+    const results = applications.aggregate(perAddress);
+    const overrides = database.getActiveOverrides(wallet);
+    const allWallets = addresses.map(address => address.wallet);
+
+    const outcome = {
+      wallet,
+      addresses: perAddress,
+      results,
+      newlyVerified: [],
+      alreadyVerified: [],
+      failed: [],
+      unchecked: [],
+      revoked: [],
+      pending: [],
+      legacy: []
+    };
+
+    for (const app of applications.getConfigured()) {
+      const { name, key, roleId } = app;
+      const result = results[key];
+      const event = {
+        source,
+        discordId,
+        discordUsername: username,
+        walletAddress: result.address || wallet,
+        contractId: key,
+        contractName: name,
+        metrics: getMetrics(result),
+        addresses: allWallets
+      };
+      const override = overrides[key];
+      const granted = override?.type === OVERRIDE_TYPE.GRANT;
+      const details = override ? this.describeOverride(override) : result.message;
+
+      if (override?.type === OVERRIDE_TYPE.DENY) {
+        // The role is removed by the revocation step below
+        logger.info(`⛔ DENIED  | ${logPrefix} | App: ${name} | Reason: ${override.reason}`);
+        outcome.failed.push({ key, name, details, override });
+        database.recordFailedVerification({ ...event, reasonCode: REASON_CODE.DENIED, reason: override.reason, override: override.type });
+        continue;
+      }
+
+      if (!granted && result.status === VERIFICATION_STATUS.ERROR) {
+        // Upstream unavailable - this says nothing about eligibility
+        logger.warn(`⚠️ ERROR   | ${logPrefix} | App: ${name} | Cause: ${result.error}`);
+        outcome.unchecked.push({ key, name, details: result.message });
+        database.recordFailedVerification({ ...event, reasonCode: result.reasonCode || REASON_CODE.UPSTREAM_ERROR, reason: result.error });
+        continue;
+      }
+
+      if (!granted && !result.eligible) {
+        logger.info(`❌ FAILED  | ${logPrefix} | App: ${name} | Reason: ${result.message}`);
+        outcome.failed.push({ key, name, details: result.message });
+        database.recordFailedVerification({ ...event, reasonCode: result.reasonCode || REASON_CODE.NO_PARTICIPATION, reason: result.message });
+        continue;
+      }
+
+      if (!member) {
+        // Not in the guild - nothing to assign
+        outcome.alreadyVerified.push({ key, name, roleName: name, hasRole: false, details, override });
+        database.recordSuccessfulVerification({ ...event, roleAssigned: false, override: override?.type });
+        continue;
+      }
+
+      const role = member.guild.roles.cache.get(roleId);
+      const roleName = role?.name || name;
+      const hadRole = member.roles.cache.has(roleId);
+
+      // Assign role if not already assigned
+      let assigned = false;
+      if (hadRole) {
+        logger.info(`✅ SUCCESS | ${logPrefix} | App: ${name} | Role: Already had role`);
+        outcome.alreadyVerified.push({ key, name, roleName, hasRole: true, details, override });
+      } else if (!role) {
+        // Eligible, but the configured role is not in this server
+        logger.warn(`⚠️ WARNING | ${logPrefix} | App: ${name} | Role Assigned: ❌ (Role ${roleId} not found)`);
+        outcome.newlyVerified.push({ key, name, role: roleName, details, isNew: false, error: 'Role not found in this server', override });
+      } else {
+        try {
+          await member.roles.add(role);
+          database.addUserRole(wallet, roleId);
+          assigned = true;
+          logger.info(`✅ SUCCESS | ${logPrefix} | App: ${name} | Role Assigned: ✅`);
+          outcome.newlyVerified.push({ key, name, role: roleName, details, isNew: true, override });
+        } catch (roleError) {
+          logger.warn(`⚠️ WARNING | ${logPrefix} | App: ${name} | Role Assigned: ❌ (Failed to assign)`, { error: roleError.message });
+          outcome.newlyVerified.push({ key, name, role: roleName, details, isNew: false, error: 'Failed to assign role', override });
+        }
+      }
+
+      database.recordSuccessfulVerification({ ...event, roleAssigned: assigned, override: override?.type });
+    }
+
+    // Remove roles the member is no longer eligible for (per application policy)
+    if (member) {
+      const { revoked, pending } = await roleManager.applyRevocationPolicies(member, wallet, results, overrides);
+      outcome.revoked = revoked;
+      outcome.pending = pending;
+    }
+
+    if (includeLegacy && config.contracts.length > 0) {
+      for (const address of addresses) {
+        outcome.legacy.push(...await this.verifyLegacyContracts(address, member, source));
+      }
+    }
+
+    outcome.nextCheckAt = scheduler.recordOutcome(primary, outcome);
+
+    return outcome;
+  }
+
+  /**
+   * Recheck a member's remaining addresses right after one was unlinked or replaced
+   * Roles only the removed address qualified for are revoked per application policy.
+   * @param {string} discordId - Discord user ID
+   * @param {GuildMember|null} member - Guild member; nothing is checked when null
+   * @param {string} source - Who triggered the unlink ('command' or 'admin')
+   * @returns {Promise<Array>} - Revoked roles (empty if the recheck failed)
+   */
+  async recheckRemaining(discordId, member, source = 'command') {
+    const userData = database.getUserByDiscordId(discordId);
+    if (!userData || !member) return [];
+
+    try {
+      const outcome = await this.verifyUser(userData, member, { source });
+      return outcome.revoked;
+    } catch (error) {
+      logger.error('Recheck of remaining addresses failed', { discordId, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Short description of a moderator override for embeds
+   */
+  describeOverride(override) {
+    const label = override.type === OVERRIDE_TYPE.GRANT ? '🛡️ Granted by a moderator' : '⛔ Denied by a moderator';
+    const until = override.expiresAt ? ` until <t:${Math.floor(new Date(override.expiresAt).getTime() / 1000)}:f>` : '';
+    return `${label}${until}`;
+  }
+
+  /**
+   * Check legacy CONTRACT_n contracts through the Block Explorer API
+   * Only contracts the user is not yet verified for are checked for new roles.
+   * @returns {Promise<Array>} - Newly verified contracts
+   */
+  async verifyLegacyContracts(userData, member, source = 'command') {
+    const wallet = userData.wallet;
+    const username = member?.user.username || userData.discordUsername || 'Unknown';
+    const verified = [];
+
+    const results = await explorerApi.verifyAllContracts(wallet);
+
+    for (const verificationResult of results) {
+      if (database.isVerified(wallet, verificationResult.contractId)) {
+        continue;
+      }
+
+      if (!verificationResult.success) {
+        database.recordFailedVerification({
+          source,
+          discordId: userData.discordId,
+          discordUsername: username,
+          walletAddress: wallet,
+          contractId: verificationResult.contractId,
+          contractName: verificationResult.contractName,
+          metrics: { txnCount: verificationResult.txnCount || 0 },
+          reasonCode: verificationResult.reasonCode || REASON_CODE.UPSTREAM_ERROR,
+          reason: verificationResult.error
+        });
+        continue;
+      }
+
+      const role = member?.guild.roles.cache.get(verificationResult.roleId);
+      const roleName = role?.name || verificationResult.contractName;
+
+      // Record verification with txn count
+      database.recordVerification(
+        wallet,
+        verificationResult.contractId,
+        verificationResult.hash,
+        verificationResult.blockNumber,
+        verificationResult.roleId,
+        roleName,
+        verificationResult.txnCount
+      );
+
+      let roleAssigned = false;
+      if (member && role) {
+        try {
+          if (!member.roles.cache.has(role.id)) {
+            await member.roles.add(role);
+          }
+          roleAssigned = true;
+        } catch (error) {
+          logger.error('Failed to assign legacy contract role', { error: error.message, contract: verificationResult.contractName });
+        }
+      }
+
+      database.recordSuccessfulVerification({
+        source,
+        discordId: userData.discordId,
+        discordUsername: username,
+        walletAddress: wallet,
+        contractId: verificationResult.contractId,
+        contractName: verificationResult.contractName,
+        metrics: { txnCount: verificationResult.txnCount || 0 },
+        roleAssigned
+      });
+
+      verified.push({
+        name: verificationResult.contractName,
+        role: roleName,
+        txnCount: verificationResult.txnCount,
+        roleAssigned
+      });
+    }
+
+    database.updateLastChecked(wallet);
+    return verified;
+  }
+}
+
+module.exports = new VerificationService();
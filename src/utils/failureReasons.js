@@ -0,0 +1,53 @@
+const { REASON_CODE } = require('../config/constants');
+
+const DESCRIPTIONS = {
+  [REASON_CODE.NO_PARTICIPATION]: 'No participation',
+  [REASON_CODE.NO_PEERS]: 'No peer IDs registered',
+  [REASON_CODE.NO_WINS]: 'Peers registered, no wins',
+  [REASON_CODE.BELOW_THRESHOLD]: 'Below the required minimum',
+  [REASON_CODE.UPSTREAM_TIMEOUT]: 'Upstream timed out',
+  [REASON_CODE.UPSTREAM_5XX]: 'Upstream server error',
+  [REASON_CODE.UPSTREAM_ERROR]: 'Upstream error',
+  [REASON_CODE.INVALID_ADDRESS]: 'Invalid address',
+  [REASON_CODE.DENIED]: 'Denied by a moderator',
+};
+
+// Failures caused by the APIs / RPC rather than by the member
+const UPSTREAM_REASONS = [REASON_CODE.UPSTREAM_TIMEOUT, REASON_CODE.UPSTREAM_5XX, REASON_CODE.UPSTREAM_ERROR];
+
+/**
+ * Reason code for an error thrown while checking an address
+ * Understands axios, fetch (AbortController) and ethers errors.
+ * @param {Error} error
+ * @returns {string} - One of REASON_CODE
+ */
+function reasonFromError(error) {
+  if (error?.reasonCode) return error.reasonCode;
+
+  const message = String(error?.message || '');
+  const status = error?.response?.status || error?.status;
+
+  if (['ECONNABORTED', 'ETIMEDOUT', 'TIMEOUT'].includes(error?.code) || error?.name === 'AbortError' || /timed? ?out/i.test(message)) {
+    return REASON_CODE.UPSTREAM_TIMEOUT;
+  }
+  if (status >= 500 || error?.code === 'SERVER_ERROR' || /(status|error:?) 5\d\d\b/i.test(message)) {
+    return REASON_CODE.UPSTREAM_5XX;
+  }
+  if (/invalid (ethereum )?address/i.test(message)) {
+    return REASON_CODE.INVALID_ADDRESS;
+  }
+  return REASON_CODE.UPSTREAM_ERROR;
+}
+
+/**
+ * Short description of a reason code
+ */
+function describeReason(code) {
+  return DESCRIPTIONS[code] || 'Unclassified';
+}
+
+function isUpstreamReason(code) {
+  return UPSTREAM_REASONS.includes(code);
+}
+
+module.exports = { reasonFromError, describeReason, isUpstreamReason };
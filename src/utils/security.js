@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
@@ -9,14 +10,31 @@ const AUTH_TAG_LENGTH = 16;
 const SALT_LENGTH = 32;
 const KEY_LENGTH = 32;
 const ITERATIONS = 100000;
-
-class SecurityService {
+const AT_REST_PREFIX = 'GENC1:'; // Marks data encrypted with the derived master key
+const UNLOCK_TOKEN_PREFIX = 'GUNL1.';
+const VERIFIER_PARAMS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 }; // scrypt cost for MASTER_PASSWORD_HASH
+
+/**
+ * Emits 'lock' ({ reason, actor }) and 'unlock' ({ source, actor }) events
+ */
+class SecurityService extends EventEmitter {
   constructor() {
+    super();
     this.masterPassword = null;
     this.derivedKey = null;
-    this.autoLockTimeout = 5 * 60 * 1000; // 5 minutes
+    this.autoLockTimeout = 0; // Disabled until configureAutoLock
     this.lastActivity = Date.now();
     this.lockTimer = null;
+    this.unlockKeyPair = null;
+    this.keyCheck = null; // Fingerprint of the first unlocked key (checks later unlocks without a verifier)
+  }
+
+  /**
+   * Set the inactivity timeout after which the key is dropped from memory
+   * @param {number} minutes - 0 disables auto-lock
+   */
+  configureAutoLock(minutes) {
+    this.autoLockTimeout = Math.max(0, minutes) * 60 * 1000;
   }
 
   /**
@@ -26,6 +44,21 @@ class SecurityService {
     return process.env.MASTER_PASSWORD || null;
   }
 
+  /**
+   * Get the configured password verifier (MASTER_PASSWORD_HASH)
+   */
+  getPasswordHash() {
+    return process.env.MASTER_PASSWORD_HASH || null;
+  }
+
+  /**
+   * Check whether any master password or key source is configured
+   */
+  isConfigured() {
+    return !!(this.getConfiguredPassword() || this.getPasswordHash() ||
+      process.env.MASTER_KEY_FILE || process.env.MASTER_KEY_FD || process.env.MASTER_KEY);
+  }
+
   /**
    * Derive encryption key from password
    */
@@ -99,6 +132,343 @@ class SecurityService {
     }
   }
 
+  /**
+   * Encrypt data at rest with the derived master key (no per-call key derivation)
+   * Format: GENC1:base64(iv + authTag + ciphertext)
+   * @param {string} plaintext - Data to encrypt
+   * @param {Buffer} key - Derived key (defaults to the unlocked key)
+   * @returns {string} - Encrypted data
+   */
+  encryptWithKey(plaintext, key = this.derivedKey) {
+    if (!key) {
+      throw new Error('Security is locked - no key available for encryption');
+    }
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return AT_REST_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+  }
+
+  /**
+   * Decrypt data written by encryptWithKey
+   * @param {string} data - Encrypted data (GENC1:...)
+   * @param {Buffer} key - Derived key (defaults to the unlocked key)
+   * @returns {string} - Decrypted plaintext
+   */
+  decryptWithKey(data, key = this.derivedKey) {
+    if (!key) {
+      throw new Error('Security is locked - no key available for decryption');
+    }
+
+    try {
+      const combined = Buffer.from(data.trim().slice(AT_REST_PREFIX.length), 'base64');
+      const iv = combined.subarray(0, IV_LENGTH);
+      const authTag = combined.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+      const encrypted = combined.subarray(IV_LENGTH + AUTH_TAG_LENGTH);
+
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+      decipher.setAuthTag(authTag);
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new Error('Decryption failed - incorrect password or corrupted data');
+    }
+  }
+
+  /**
+   * Check whether data was written by encryptWithKey
+   */
+  isEncryptedData(data) {
+    return typeof data === 'string' && data.startsWith(AT_REST_PREFIX);
+  }
+
+  /**
+   * Derive the at-rest key from a password (same derivation as initialize)
+   */
+  deriveMasterKey(password) {
+    return this.deriveKey(password, Buffer.alloc(SALT_LENGTH, 0));
+  }
+
+  /**
+   * Create a verifier for MASTER_PASSWORD_HASH
+   * The verifier is an scrypt hash of the derived key, so it checks passwords and raw keys alike.
+   * Format: scrypt$N$r$p$salt$hash (base64)
+   * @param {string} password - Master password
+   * @returns {string} - Verifier string
+   */
+  createPasswordHash(password) {
+    return this.createKeyHash(this.deriveMasterKey(password));
+  }
+
+  /**
+   * Create a verifier for an already derived key (see createPasswordHash)
+   */
+  createKeyHash(key) {
+    const { N, r, p } = VERIFIER_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(key, salt, KEY_LENGTH, VERIFIER_PARAMS);
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+  }
+
+  /**
+   * Parse a verifier created by createPasswordHash
+   * @throws {Error} - If the verifier is malformed
+   */
+  parsePasswordHash(verifier) {
+    const [scheme, N, r, p, salt, hash] = verifier.split('$');
+    if (scheme !== 'scrypt' || !hash || [N, r, p].some(n => !/^\d+$/.test(n))) {
+      throw new Error('MASTER_PASSWORD_HASH is not a valid verifier - generate one with npm run security:setup');
+    }
+    return {
+      params: { N: parseInt(N), r: parseInt(r), p: parseInt(p), maxmem: VERIFIER_PARAMS.maxmem },
+      salt: Buffer.from(salt, 'base64'),
+      hash: Buffer.from(hash, 'base64')
+    };
+  }
+
+  /**
+   * Check a derived key against a verifier created by createPasswordHash
+   */
+  matchesPasswordHash(key, verifier) {
+    const { params, salt, hash } = this.parsePasswordHash(verifier);
+    return crypto.timingSafeEqual(hash, crypto.scryptSync(key, salt, hash.length, params));
+  }
+
+  /**
+   * Parse a hex encoded derived key
+   * @param {string} text - 64 hex characters (surrounding whitespace is ignored)
+   * @param {string} source - Where the key came from (for the error message)
+   */
+  parseKey(text, source) {
+    const hex = text.trim();
+    if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+      throw new Error(`${source} does not contain a 64 character hex key`);
+    }
+    return Buffer.from(hex, 'hex');
+  }
+
+  /**
+   * Refuse key files that other users can read or that belong to someone else
+   */
+  checkKeyFilePermissions(filePath) {
+    const stat = fs.statSync(filePath);
+    if (!stat.isFile()) {
+      throw new Error(`MASTER_KEY_FILE ${filePath} is not a regular file`);
+    }
+    if (process.platform === 'win32') return;
+
+    if (stat.mode & 0o077) {
+      const mode = (stat.mode & 0o777).toString(8);
+      throw new Error(`MASTER_KEY_FILE ${filePath} is accessible by other users (mode ${mode}) - run chmod 600 ${filePath}`);
+    }
+    if (typeof process.getuid === 'function' && stat.uid !== process.getuid()) {
+      throw new Error(`MASTER_KEY_FILE ${filePath} is not owned by the user running the bot`);
+    }
+  }
+
+  /**
+   * Read a derived key from a key file (after checking its permissions)
+   */
+  readKeyFile(keyFile) {
+    if (!fs.existsSync(keyFile)) {
+      throw new Error(`MASTER_KEY_FILE not found: ${keyFile}`);
+    }
+    this.checkKeyFilePermissions(keyFile);
+    return this.parseKey(fs.readFileSync(keyFile, 'utf8'), 'MASTER_KEY_FILE');
+  }
+
+  /**
+   * Switch to a new master key after all data was re-encrypted with it
+   * Later unlocks in this process are checked against the new key; .env still has to be updated.
+   */
+  replaceKey(key) {
+    if (!this.isUnlocked()) {
+      throw new Error('Security is locked - unlock before rotating the key');
+    }
+
+    this.masterPassword = null;
+    this.derivedKey = key;
+    this.keyCheck = this.keyFingerprint(key);
+    process.env.MASTER_PASSWORD_HASH = this.createKeyHash(key);
+    delete process.env.MASTER_PASSWORD;
+  }
+
+  /**
+   * Read the derived key from a non-interactive source
+   * Checked in order: MASTER_KEY_FILE, MASTER_KEY_FD, MASTER_KEY.
+   * MASTER_KEY is removed from the environment once read.
+   * @returns {{key: Buffer, source: string}|null} - Null when no source is configured
+   * @throws {Error} - If a configured source cannot be read
+   */
+  readKeySource() {
+    const keyFile = process.env.MASTER_KEY_FILE;
+    if (keyFile) {
+      return { key: this.readKeyFile(keyFile), source: 'key file' };
+    }
+
+    const keyFd = process.env.MASTER_KEY_FD;
+    if (keyFd) {
+      const fd = parseInt(keyFd);
+      if (!Number.isInteger(fd) || fd < 0) {
+        throw new Error(`MASTER_KEY_FD must be a file descriptor number, got "${keyFd}"`);
+      }
+      const content = fs.readFileSync(fd, 'utf8');
+      try {
+        fs.closeSync(fd);
+      } catch (error) {
+        // Already closed by the reader
+      }
+      return { key: this.parseKey(content, 'MASTER_KEY_FD'), source: `file descriptor ${fd}` };
+    }
+
+    if (process.env.MASTER_KEY) {
+      const key = this.parseKey(process.env.MASTER_KEY, 'MASTER_KEY');
+      delete process.env.MASTER_KEY;
+      return { key, source: 'MASTER_KEY' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Verify a derived key against MASTER_PASSWORD_HASH (or the legacy plaintext MASTER_PASSWORD)
+   * @param {Buffer} key - Derived key
+   * @returns {boolean} - True if the key matches, or if nothing is configured to check it against
+   */
+  verifyKey(key) {
+    const verifier = this.getPasswordHash();
+    if (verifier) {
+      return this.matchesPasswordHash(key, verifier);
+    }
+
+    const configuredPassword = this.getConfiguredPassword();
+    if (configuredPassword) {
+      return crypto.timingSafeEqual(key, this.deriveMasterKey(configuredPassword));
+    }
+
+    if (this.keyCheck) {
+      return crypto.timingSafeEqual(this.keyCheck, this.keyFingerprint(key));
+    }
+
+    return true;
+  }
+
+  /**
+   * One-way fingerprint of a key (never reveals the key itself)
+   */
+  keyFingerprint(key) {
+    return crypto.createHmac('sha256', key).update('gensyn-key-check').digest();
+  }
+
+  /**
+   * Keep the derived key in memory and start the auto-lock timer
+   * @param {Buffer} key - Verified derived key
+   * @param {string} password - Password the key was derived from (if known)
+   * @param {Object} details - Event details: { source, actor }
+   */
+  unlockWithKey(key, password = null, { source = 'startup', actor = 'system' } = {}) {
+    this.masterPassword = password;
+    this.derivedKey = key;
+    this.keyCheck = this.keyCheck || this.keyFingerprint(key);
+    this.unlockKeyPair = null;
+    this.updateActivity();
+    this.startAutoLock();
+    this.emit('unlock', { source, actor });
+  }
+
+  /**
+   * Create a key pair for the current lock episode
+   * An operator encrypts the master key to the public key (npm run security:unlock-token);
+   * the private key never leaves memory and is discarded on unlock.
+   * @returns {string} - Public key (PEM)
+   */
+  createUnlockRequest() {
+    this.unlockKeyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return this.unlockKeyPair.publicKey.export({ type: 'spki', format: 'pem' });
+  }
+
+  /**
+   * Create a time-limited unlock token for a locked bot
+   * @param {Buffer} key - Derived master key
+   * @param {string} publicKeyPem - Public key from the bot's unlock request
+   * @param {number} minutes - How long the token is valid
+   * @returns {{token: string, expiresAt: Date}}
+   */
+  createUnlockToken(key, publicKeyPem, minutes = 15) {
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+    const payload = JSON.stringify({ key: key.toString('hex'), exp: expiresAt.getTime() });
+    const encrypted = crypto.publicEncrypt(
+      { key: publicKeyPem, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+      Buffer.from(payload, 'utf8')
+    );
+    return { token: UNLOCK_TOKEN_PREFIX + encrypted.toString('base64'), expiresAt };
+  }
+
+  /**
+   * Unlock with a token created by createUnlockToken
+   * @param {string} token - Unlock token
+   * @param {string} actor - Who submitted the token (for the unlock event)
+   * @throws {Error} - If the token is invalid, expired or for a different lock
+   */
+  unlockWithToken(token, actor) {
+    if (!this.unlockKeyPair) {
+      throw new Error(this.isUnlocked() ? 'Security is already unlocked' : 'No unlock request is pending');
+    }
+    if (!token.startsWith(UNLOCK_TOKEN_PREFIX)) {
+      throw new Error('Not an unlock token');
+    }
+
+    let payload;
+    try {
+      const decrypted = crypto.privateDecrypt(
+        { key: this.unlockKeyPair.privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+        Buffer.from(token.slice(UNLOCK_TOKEN_PREFIX.length), 'base64')
+      );
+      payload = JSON.parse(decrypted.toString('utf8'));
+    } catch (error) {
+      throw new Error('Unlock token is invalid or was created for an earlier lock');
+    }
+
+    if (!payload.exp || payload.exp < Date.now()) {
+      throw new Error('Unlock token has expired');
+    }
+
+    const key = this.parseKey(payload.key || '', 'Unlock token');
+    if (!this.verifyKey(key)) {
+      throw new Error('Unlock token does not contain the master key');
+    }
+
+    this.unlockWithKey(key, null, { source: 'token', actor });
+  }
+
+  /**
+   * Create an at-rest cipher bound to the current key
+   * The key is captured, so files stay readable and writable for the process that opened them.
+   * @returns {{encrypt: Function, decrypt: Function, isEncrypted: Function}}
+   */
+  createCipher(key = null) {
+    if (!key && !this.derivedKey) {
+      throw new Error('Security is locked - unlock before opening encrypted data');
+    }
+
+    // Without a fixed key the cipher follows the lock: it stops working while locked
+    const currentKey = () => {
+      const k = key || this.derivedKey;
+      if (!k) {
+        throw Object.assign(new Error('Security is locked - unlock with the master password first'), { code: 'LOCKED' });
+      }
+      return k;
+    };
+
+    return {
+      encrypt: plaintext => this.encryptWithKey(plaintext, currentKey()),
+      decrypt: data => this.decryptWithKey(data, currentKey()),
+      isEncrypted: data => this.isEncryptedData(data),
+      isLocked: () => !key && !this.derivedKey
+    };
+  }
+
   /**
    * Encrypt a file
    * @param {string} filePath - Path to the file
@@ -267,9 +637,10 @@ class SecurityService {
 
   /**
    * Prompt for password in terminal
+   * @param {string} label - Prompt text
    * @returns {Promise<string>} - The entered password
    */
-  promptPassword() {
+  promptPassword(label = 'Enter master password') {
     return new Promise((resolve) => {
       const rl = readline.createInterface({
         input: process.stdin,
@@ -278,7 +649,7 @@ class SecurityService {
 
       // Disable echo for password input (works in some terminals)
       if (process.stdin.isTTY) {
-        process.stdout.write('🔐 Enter master password: ');
+        process.stdout.write(`🔐 ${label}: `);
         
         let password = '';
         
@@ -310,21 +681,31 @@ class SecurityService {
         
         process.stdin.on('data', onData);
       } else {
-        // Non-TTY mode (e.g., when running with PM2)
-        rl.question('🔐 Enter master password: ', (answer) => {
+        // Non-TTY mode (e.g., password piped on stdin)
+        let answered = false;
+        rl.question(`🔐 ${label}: `, (answer) => {
+          answered = true;
           rl.close();
           resolve(answer);
         });
+        // stdin closed without a password (e.g., PM2 or systemd)
+        rl.on('close', () => {
+          if (!answered) resolve(null);
+        });
       }
     });
   }
 
   /**
-   * Verify password against configured password using timing-safe comparison
+   * Verify password against MASTER_PASSWORD_HASH, or the configured password using timing-safe comparison
    * @param {string} password - Password to verify
    * @returns {boolean} - True if password matches
    */
   verifyPassword(password) {
+    if (this.getPasswordHash() || (!this.getConfiguredPassword() && this.keyCheck)) {
+      return this.verifyKey(this.deriveMasterKey(password));
+    }
+
     const configuredPassword = this.getConfiguredPassword();
     
     if (!configuredPassword) {
@@ -353,12 +734,12 @@ class SecurityService {
 
   /**
    * Initialize security with password verification
+   * Non-interactive key sources (key file, file descriptor, MASTER_KEY) are tried
+   * before falling back to the password prompt.
    * @returns {Promise<boolean>} - True if security initialized successfully
    */
   async initialize() {
-    const configuredPassword = this.getConfiguredPassword();
-    
-    if (!configuredPassword) {
+    if (!this.isConfigured()) {
       console.log('⚠️  No master password configured. Running without encryption.');
       return true;
     }
@@ -369,22 +750,56 @@ class SecurityService {
     console.log('═══════════════════════════════════════════════════════');
     console.log('');
 
+    if (this.getConfiguredPassword() && !this.getPasswordHash()) {
+      console.log('⚠️  MASTER_PASSWORD is stored in plaintext. Run npm run security:setup and');
+      console.log('   replace it with MASTER_PASSWORD_HASH.');
+      console.log('');
+    }
+
+    let keySource;
+    try {
+      if (this.getPasswordHash()) {
+        this.parsePasswordHash(this.getPasswordHash());
+      }
+      keySource = this.readKeySource();
+      if (keySource && !this.verifyKey(keySource.key)) {
+        console.log(`❌ The key from ${keySource.source} does not match the master password.`);
+        return false;
+      }
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      return false;
+    }
+
+    if (keySource) {
+      if (!this.getPasswordHash() && !this.getConfiguredPassword()) {
+        console.log('⚠️  No MASTER_PASSWORD_HASH set - the key cannot be checked before use.');
+      }
+      this.unlockWithKey(keySource.key, null, { source: keySource.source });
+      console.log(`✅ Security unlocked with ${keySource.source}.`);
+      console.log('');
+      return true;
+    }
+
     let attempts = 0;
     const maxAttempts = 3;
 
     while (attempts < maxAttempts) {
       const enteredPassword = await this.promptPassword();
+
+      if (enteredPassword === null) {
+        console.log('');
+        console.log('❌ No password on stdin. To start without a terminal set MASTER_KEY_FILE,');
+        console.log('   MASTER_KEY_FD or MASTER_KEY (see npm run security:setup).');
+        return false;
+      }
       
       if (this.verifyPassword(enteredPassword)) {
-        this.masterPassword = enteredPassword;
-        this.derivedKey = this.deriveKey(enteredPassword, Buffer.alloc(SALT_LENGTH, 0));
+        this.unlockWithKey(this.deriveMasterKey(enteredPassword), enteredPassword, { source: 'prompt' });
         console.log('');
         console.log('✅ Security verification successful!');
         console.log('');
         
-        // Start auto-lock timer
-        this.startAutoLock();
-        
         return true;
       }
       
@@ -404,13 +819,25 @@ class SecurityService {
     if (this.lockTimer) {
       clearInterval(this.lockTimer);
     }
+    if (!this.autoLockTimeout) return;
     
     this.lockTimer = setInterval(() => {
       const inactiveTime = Date.now() - this.lastActivity;
       if (inactiveTime >= this.autoLockTimeout) {
-        this.lock();
+        this.lock('inactivity');
       }
     }, 60000); // Check every minute
+    this.lockTimer.unref();
+  }
+
+  /**
+   * Stop the auto-lock timer (one-shot CLI tools)
+   */
+  stopAutoLock() {
+    if (this.lockTimer) {
+      clearInterval(this.lockTimer);
+      this.lockTimer = null;
+    }
   }
 
   /**
@@ -421,19 +848,27 @@ class SecurityService {
   }
 
   /**
-   * Lock the security (clear password from memory)
+   * Lock the security (clear password and key from memory)
+   * @param {string} reason - Why the lock happened ('inactivity', 'manual')
+   * @param {string} actor - Who locked it
+   * @returns {boolean} - False if it was already locked
    */
-  lock() {
+  lock(reason = 'manual', actor = 'system') {
+    if (!this.isUnlocked()) return false;
+
     this.masterPassword = null;
     this.derivedKey = null;
-    console.log('🔒 Security auto-locked due to inactivity.');
+    this.stopAutoLock();
+    console.log(reason === 'inactivity' ? '🔒 Security auto-locked due to inactivity.' : '🔒 Security locked.');
+    this.emit('lock', { reason, actor });
+    return true;
   }
 
   /**
    * Check if security is unlocked
    */
   isUnlocked() {
-    return this.masterPassword !== null;
+    return this.derivedKey !== null;
   }
 
   /**
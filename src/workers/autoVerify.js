@@ -1,8 +1,12 @@
 const database = require('../services/database');
-const explorerApi = require('../services/explorerApi');
+const verification = require('../services/verification');
+const scheduler = require('../services/scheduler');
+const auditLog = require('../services/auditLog');
+const applications = require('../applications');
 const performance = require('../utils/performance');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { reasonFromError } = require('../utils/failureReasons');
 const { EmbedBuilder } = require('discord.js');
 
 class AutoVerifyWorker {
@@ -16,8 +20,8 @@ class AutoVerifyWorker {
     const startupDelayMs = 30000; // 30 second delay before first run to prevent API hammering on startup
     
     logger.info(`Auto-verify worker started (interval: ${config.autoVerify.intervalMinutes} min)`);
-    logger.info(`Using Block Explorer API for verification`);
-    logger.info(`Batch size: ${config.performance.batchSize}, Min transactions: ${config.explorer.minTransactions}`);
+    logger.info(`Verifying ${applications.getConfigured().length} Gensyn application(s)${this.includeLegacy() ? ` + ${config.contracts.length} legacy contract(s)` : ''}`);
+    logger.info(`Batch size: ${config.performance.batchSize}`);
     logger.info(`First auto-verify run will start in ${startupDelayMs / 1000} seconds`);
     
     // Delay first run by 30 seconds to prevent immediate API hammering on bot startup
@@ -33,15 +37,22 @@ class AutoVerifyWorker {
       return;
     }
 
+    // Saves and events need the master key - wait for the next run after an unlock
+    if (database.isLocked()) {
+      logger.warn('🔒 Security is locked - skipping auto-verify run');
+      return;
+    }
+
     this.isRunning = true;
     const startTime = Date.now();
     
     logger.info('═══════════════════════════════════════════════════════');
-    logger.info('      Auto-Verify Worker Running (Explorer API)');
+    logger.info('      Auto-Verify Worker Running');
     logger.info('═══════════════════════════════════════════════════════');
 
     try {
-      const users = database.getUsersForAutoVerify();
+      // Fair ordering: new users first, then least recently checked, resuming from the last run
+      const users = scheduler.selectBatch(config.autoVerify.maxBatchSize);
       
       let processed = 0;
       let newVerifications = 0;
@@ -58,6 +69,14 @@ class AutoVerifyWorker {
         const batch = batches[batchIndex];
         const batchStartTime = Date.now();
 
+        if (database.isLocked()) {
+          logger.warn('🔒 Security locked during auto-verify - stopping this run');
+          break;
+        }
+
+        // Load contract data for every address in the batch up front (multicall)
+        await applications.prefetch(batch.flatMap(userData => database.getWalletsByDiscordId(userData.discordId)));
+
         // Process batch items in parallel using Promise.allSettled for better error handling
         const batchResults = await Promise.allSettled(
           batch.map(userData => this.processUser(userData))
@@ -85,12 +104,6 @@ class AutoVerifyWorker {
         if (batchIndex < batches.length - 1) {
           await this.delay(100);
         }
-
-        // Check if we've hit max batch size
-        if (processed >= config.autoVerify.maxBatchSize) {
-          logger.info(`Reached max batch size (${config.autoVerify.maxBatchSize}), stopping`);
-          break;
-        }
       }
 
       const duration = Date.now() - startTime;
@@ -108,7 +121,7 @@ class AutoVerifyWorker {
       if (rolesAssigned.length > 0) {
         logger.info('🎭 Roles assigned:');
         rolesAssigned.forEach(r => {
-          logger.info(`   • ${r.username} → ${r.roleName} (${r.contractName})`);
+          logger.info(`   • ${r.username} → ${r.roleName} (${r.source})`);
         });
       }
       
@@ -121,6 +134,13 @@ class AutoVerifyWorker {
     }
   }
 
+  /**
+   * Whether legacy CONTRACT_n checks run alongside the Gensyn applications
+   */
+  includeLegacy() {
+    return config.autoVerify.legacyContracts && config.contracts.length > 0;
+  }
+
   async processUser(userData) {
     const wallet = userData.wallet;
     const discordUsername = userData.discordUsername || 'Unknown';
@@ -131,76 +151,54 @@ class AutoVerifyWorker {
       rolesAssigned: []
     };
 
+    const blocked = database.findMemberBlock(userData.discordId);
+    if (blocked) {
+      auditLog.recordBlocked('auto-verify worker', blocked, 'worker');
+      scheduler.recordBlocked(userData);
+      return result;
+    }
+
     try {
       logger.debug(`Processing user: ${discordUsername} (${wallet.substring(0, 10)}...)`);
-      
-      // Use Explorer API for parallel verification of all contracts
-      const results = await explorerApi.verifyAllContracts(wallet);
-      
-      for (const verificationResult of results) {
-        if (verificationResult.success && !database.isVerified(wallet, verificationResult.contractId)) {
-          // Get role info
-          const role = await this.getRoleInfo(verificationResult.roleId);
-          const roleName = role?.name || verificationResult.contractName;
-
-          // Record verification with txn count
-          database.recordVerification(
-            wallet, 
-            verificationResult.contractId, 
-            verificationResult.hash, 
-            verificationResult.blockNumber,
-            verificationResult.roleId,
-            roleName,
-            verificationResult.txnCount
-          );
-          
-          // Assign role
-          const roleAssigned = await this.assignRole(userData.discordId, verificationResult.roleId);
-          
-          if (roleAssigned) {
-            result.rolesAssigned.push({
-              username: discordUsername,
-              roleName: roleName,
-              contractName: verificationResult.contractName,
-              txnCount: verificationResult.txnCount
-            });
-          }
-          
-          result.newVerifications++;
-          
-          // Log successful auto-verification to terminal
-          console.log(`[${new Date().toISOString()}] ✅ SUCCESS | Discord: ${discordUsername} (${userData.discordId}) | Wallet: ${wallet.substring(0, 10)}...${wallet.slice(-4)} | Contract: ${verificationResult.contractName} | Txns: ${verificationResult.txnCount} | Role Assigned: ${roleAssigned ? '✅' : '❌'}`);
-          
-          logger.info(`✅ Auto-verified: ${discordUsername}`, { 
-            wallet: wallet.substring(0, 10) + '...', 
-            contract: verificationResult.contractName,
-            role: roleName,
-            txnCount: verificationResult.txnCount
-          });
 
-          // Send announcement
-          await this.sendAnnouncement(userData.discordId, discordUsername, verificationResult, roleName);
+      const member = await this.getMember(userData.discordId);
+      const outcome = await verification.verifyUser(userData, member, {
+        source: 'worker',
+        includeLegacy: this.includeLegacy()
+      });
+
+      const assigned = outcome.newlyVerified.filter(v => v.isNew);
+      for (const app of assigned) {
+        result.rolesAssigned.push({
+          username: discordUsername,
+          roleName: app.role,
+          source: app.name
+        });
 
-        } else if (!verificationResult.success && !database.isVerified(wallet, verificationResult.contractId)) {
-          // Log failed auto-verification to terminal
-          console.log(`[${new Date().toISOString()}] ❌ FAILED  | Discord: ${discordUsername} (${userData.discordId}) | Wallet: ${wallet.substring(0, 10)}...${wallet.slice(-4)} | Contract: ${verificationResult.contractName} | Txns: ${verificationResult.txnCount || 0} | Reason: ${verificationResult.error}`);
-          
-          // Record failed verification
-          database.recordFailedVerification({
-            discordId: userData.discordId,
-            discordUsername: discordUsername,
-            walletAddress: wallet,
-            contractId: verificationResult.contractId,
-            contractName: verificationResult.contractName,
-            txnCount: verificationResult.txnCount || 0,
-            reason: verificationResult.error
+        logger.info(`✅ Auto-verified: ${discordUsername}`, { 
+          wallet: wallet.substring(0, 10) + '...', 
+          application: app.name,
+          role: app.role
+        });
+      }
+
+      for (const contract of outcome.legacy) {
+        if (contract.roleAssigned) {
+          result.rolesAssigned.push({
+            username: discordUsername,
+            roleName: contract.role,
+            source: contract.name
           });
-          result.failedVerifications++;
         }
       }
 
-      // Update last checked timestamp
-      database.updateLastChecked(wallet);
+      result.newVerifications = assigned.length + outcome.legacy.length;
+      result.failedVerifications = outcome.failed.length;
+
+      // Send announcement
+      if (assigned.length > 0 || outcome.legacy.length > 0) {
+        await this.sendAnnouncement(userData.discordId, assigned, outcome.legacy);
+      }
       
     } catch (error) {
       logger.debug('Auto-verify error for wallet', { 
@@ -211,118 +209,65 @@ class AutoVerifyWorker {
       
       // Record as failed verification
       database.recordFailedVerification({
+        source: 'worker',
         discordId: userData.discordId,
         discordUsername: discordUsername,
         walletAddress: wallet,
         contractId: 'unknown',
         contractName: 'Unknown',
+        reasonCode: reasonFromError(error),
         reason: error.message
       });
       result.failedVerifications++;
+      scheduler.recordError(userData);
     }
 
     return result;
   }
 
-  async getRoleInfo(roleId) {
-    try {
-      // Use configured guild ID if available
-      if (config.discord.guildId) {
-        const guild = this.client.guilds.cache.get(config.discord.guildId);
-        if (guild) {
-          return guild.roles.cache.get(roleId);
-        }
-      }
-      // Fallback to searching all guilds
-      for (const guild of this.client.guilds.cache.values()) {
-        const role = guild.roles.cache.get(roleId);
-        if (role) {
-          return role;
-        }
-      }
-    } catch (error) {
-      logger.error('Failed to get role info', { roleId, error: error.message });
-    }
-    return null;
+  /**
+   * Get the target guild(s) - the configured guild if available
+   */
+  getGuilds() {
+    const targetGuild = config.discord.guildId 
+      ? this.client.guilds.cache.get(config.discord.guildId)
+      : null;
+    
+    return targetGuild 
+      ? [targetGuild] 
+      : Array.from(this.client.guilds.cache.values());
   }
 
-  async assignRole(discordId, roleId) {
-    try {
-      // Use configured guild ID if available for better performance
-      const targetGuild = config.discord.guildId 
-        ? this.client.guilds.cache.get(config.discord.guildId)
-        : null;
-      
-      const guildsToCheck = targetGuild 
-        ? [targetGuild] 
-        : Array.from(this.client.guilds.cache.values());
-
-      for (const guild of guildsToCheck) {
-        if (!guild) continue;
-        
-        const member = await guild.members.fetch(discordId).catch(() => null);
-        if (member) {
-          // Check if member already has the role
-          if (member.roles.cache.has(roleId)) {
-            logger.debug(`User already has role`, { discordId, roleId });
-            return true; // Already has role, consider it a success
-          }
-          
-          const role = guild.roles.cache.get(roleId);
-          if (role) {
-            await member.roles.add(role);
-            logger.info('Role assigned', { 
-              user: member.user.tag, 
-              role: role.name 
-            });
-            
-            // Update database with role
-            const wallet = database.getWalletByDiscordId(discordId);
-            if (wallet) {
-              database.addUserRole(wallet, roleId);
-            }
-            
-            return true;
-          }
-        }
+  /**
+   * Find the guild member for a Discord user (null if not in any guild)
+   */
+  async getMember(discordId) {
+    for (const guild of this.getGuilds()) {
+      const member = await guild.members.fetch(discordId).catch(() => null);
+      if (member) {
+        return member;
       }
-    } catch (error) {
-      logger.error('Failed to assign role in auto-verify', { 
-        discordId, 
-        roleId, 
-        error: error.message 
-      });
     }
-    return false;
+    return null;
   }
 
-  async sendAnnouncement(discordId, username, result, roleName) {
+  async sendAnnouncement(discordId, assigned, legacy = []) {
     if (!config.discord.verificationChannelId) return;
 
     try {
-      // Use configured guild ID if available for better performance
-      const targetGuild = config.discord.guildId 
-        ? this.client.guilds.cache.get(config.discord.guildId)
-        : null;
-      
-      const guildsToCheck = targetGuild 
-        ? [targetGuild] 
-        : Array.from(this.client.guilds.cache.values());
-
-      for (const guild of guildsToCheck) {
-        if (!guild) continue;
-        
+      for (const guild of this.getGuilds()) {
         const channel = guild.channels.cache.get(config.discord.verificationChannelId);
         if (channel) {
+          const lines = [
+            ...assigned.map(app => `✅ ${app.name} → ${app.role}`),
+            ...legacy.map(contract => `✅ ${contract.name} → ${contract.role} (${contract.txnCount} txns)`)
+          ];
+
           const embed = new EmbedBuilder()
             .setTitle('🎉 New Auto-Verification!')
             .setColor(0x00ff00)
             .setDescription(`<@${discordId}> has been automatically verified!`)
-            .addFields(
-              { name: '📝 Contract', value: result.contractName, inline: true },
-              { name: '🎭 Role', value: roleName, inline: true },
-              { name: '📊 Transactions', value: `${result.txnCount}`, inline: true }
-            )
+            .addFields({ name: 'Applications', value: lines.join('\n') })
             .setTimestamp();
           
           await channel.send({ embeds: [embed] });